@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+import { createServiceLogger } from '../../shared/logger.js';
+
+const logger = createServiceLogger('gateway-admin');
+
+export function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Guards the gateway admin API with the shared token in GATEWAY_ADMIN_TOKEN,
+// sent as "Authorization: Bearer <token>" or "X-Admin-Token: <token>". The
+// admin API stays disabled while no token is configured.
+export function requireAdmin(req, res, next) {
+  const expected = process.env.GATEWAY_ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API is disabled, set GATEWAY_ADMIN_TOKEN to enable it' });
+  }
+
+  const authorization = req.headers.authorization || '';
+  const given = authorization.startsWith('Bearer ')
+    ? authorization.slice('Bearer '.length)
+    : req.headers['x-admin-token'];
+
+  if (!given || !tokensMatch(given, expected)) {
+    logger.warn('Rejected admin request', { method: req.method, url: req.url, ip: req.ip, requestId: req.requestId });
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+}
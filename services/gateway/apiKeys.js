@@ -0,0 +1,258 @@
+import crypto from 'crypto';
+import DatabaseManager, { schemas } from '../../shared/database.js';
+import { createServiceLogger } from '../../shared/logger.js';
+import rateLimiter from '../../shared/rateLimiter.js';
+
+const logger = createServiceLogger('gateway-api-keys');
+
+// Keys look like "gwk_<id>_<secret>": the id finds the record, only a hash of
+// the whole key is stored
+const KEY_PREFIX = 'gwk';
+const KEY_PATTERN = /^gwk_([0-9a-f]{16})_[A-Za-z0-9_-]{43}$/;
+const USAGE_FLUSH_INTERVAL_MS = 5000;
+const MAX_GRACE_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const ApiKeyStatus = {
+  ACTIVE: 'active',
+  REVOKED: 'revoked'
+};
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function hashesMatch(hash, storedHex) {
+  return Boolean(storedHex) && crypto.timingSafeEqual(hash, Buffer.from(storedHex, 'hex'));
+}
+
+function generateKey(id) {
+  return `${KEY_PREFIX}_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+export function utcDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(now = Date.now()) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+const isLimit = (value) => value === null || (Number.isInteger(value) && value > 0);
+
+// Validates a create request; returns { value } or { errors }
+export function validateApiKeyRequest(body) {
+  const errors = [];
+  const { name, rateLimit = null, dailyQuota = null } = body;
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    errors.push('name is required and must be at most 100 characters');
+  }
+  if (!isLimit(rateLimit)) {
+    errors.push('rateLimit must be a positive integer (requests per minute) or null for the default');
+  }
+  if (!isLimit(dailyQuota)) {
+    errors.push('dailyQuota must be a positive integer (requests per UTC day) or null for no quota');
+  }
+  return errors.length > 0 ? { errors } : { value: { name: name.trim(), rateLimit, dailyQuota } };
+}
+
+// API keys for partner integrations, stored in the gateway database. Each key
+// has a requests-per-minute limit and an optional daily quota; usage is
+// counted per key and day.
+class ApiKeyStore {
+  constructor() {
+    this.db = new DatabaseManager('gateway');
+    this.ready = null;
+    // Usage not written to the database yet, by "keyId day"
+    this.pendingUsage = new Map();
+    this.flushTimer = null;
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.db.connect();
+        await this.db.run('PRAGMA busy_timeout = 5000');
+        await this.db.exec(schemas.apiKeys);
+
+        this.flushTimer = setInterval(() => this.flushUsage(), USAGE_FLUSH_INTERVAL_MS);
+        this.flushTimer.unref();
+      })();
+    }
+    return this.ready;
+  }
+
+  toJSON(row) {
+    const iso = value => (value ? new Date(value).toISOString() : null);
+    return {
+      id: row.id,
+      name: row.name,
+      status: row.status,
+      rateLimit: row.rate_limit,
+      dailyQuota: row.daily_quota,
+      createdAt: iso(row.created_at),
+      rotatedAt: iso(row.rotated_at),
+      revokedAt: iso(row.revoked_at),
+      lastUsedAt: iso(row.last_used_at),
+      // The replaced key keeps working until then after a rotation
+      previousKeyExpiresAt: row.previous_key_expires_at > Date.now() ? iso(row.previous_key_expires_at) : null
+    };
+  }
+
+  // Returns the new key in plain text; it is not stored and can't be shown again
+  async create({ name, rateLimit, dailyQuota }) {
+    await this.init();
+    const id = crypto.randomBytes(8).toString('hex');
+    const key = generateKey(id);
+    await this.db.run(
+      'INSERT INTO api_keys (id, name, key_hash, rate_limit, daily_quota, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, name, hashKey(key).toString('hex'), rateLimit, dailyQuota, Date.now()]
+    );
+    logger.info('API key created', { id, name, rateLimit, dailyQuota });
+    return { key, apiKey: await this.get(id) };
+  }
+
+  // Issues a new secret for the key; the old one keeps working for
+  // gracePeriodMs so the partner can switch over. Null for unknown or
+  // revoked keys.
+  async rotate(id, gracePeriodMs = 0) {
+    await this.init();
+    const now = Date.now();
+    const key = generateKey(id);
+    const result = await this.db.run(
+      `UPDATE api_keys
+       SET previous_key_hash = key_hash, previous_key_expires_at = ?, key_hash = ?, rotated_at = ?
+       WHERE id = ? AND status = ?`,
+      [now + Math.min(gracePeriodMs, MAX_GRACE_PERIOD_MS), hashKey(key).toString('hex'), now, id, ApiKeyStatus.ACTIVE]
+    );
+    if (result.changes === 0) {
+      return null;
+    }
+    logger.info('API key rotated', { id, gracePeriodMs });
+    return { key, apiKey: await this.get(id) };
+  }
+
+  async revoke(id) {
+    await this.init();
+    const result = await this.db.run(
+      'UPDATE api_keys SET status = ?, revoked_at = ?, previous_key_hash = NULL WHERE id = ? AND status = ?',
+      [ApiKeyStatus.REVOKED, Date.now(), id, ApiKeyStatus.ACTIVE]
+    );
+    if (result.changes > 0) {
+      logger.info('API key revoked', { id });
+    }
+    return this.get(id);
+  }
+
+  async get(id) {
+    await this.init();
+    const row = await this.db.get('SELECT * FROM api_keys WHERE id = ?', [id]);
+    return row ? this.toJSON(row) : null;
+  }
+
+  // Every key with today's usage
+  async list() {
+    await this.init();
+    await this.flushUsage();
+    const rows = await this.db.all(
+      `SELECT k.*, COALESCE(u.requests, 0) AS requests_today, COALESCE(u.rejected, 0) AS rejected_today
+       FROM api_keys k LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = ?
+       ORDER BY k.created_at`,
+      [utcDay()]
+    );
+    return rows.map(row => ({
+      ...this.toJSON(row),
+      usage: { day: utcDay(), requests: row.requests_today, rejected: row.rejected_today }
+    }));
+  }
+
+  // Requests and rejections per day, newest first
+  async usage(id, days = 7) {
+    await this.init();
+    await this.flushUsage();
+    return this.db.all(
+      'SELECT day, requests, rejected FROM api_key_usage WHERE key_id = ? AND day >= ? ORDER BY day DESC',
+      [id, utcDay(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)]
+    );
+  }
+
+  // Looks up the key presented by a client; returns { apiKey } or { error }
+  async authenticate(presented) {
+    await this.init();
+    const match = KEY_PATTERN.exec(presented);
+    const row = match ? await this.db.get('SELECT * FROM api_keys WHERE id = ?', [match[1]]) : null;
+    if (!row) {
+      return { error: 'Invalid API key' };
+    }
+
+    const hash = hashKey(presented);
+    const current = hashesMatch(hash, row.key_hash);
+    const previous = !current && row.previous_key_expires_at > Date.now() && hashesMatch(hash, row.previous_key_hash);
+    if (!current && !previous) {
+      return { error: 'Invalid API key' };
+    }
+    if (row.status === ApiKeyStatus.REVOKED) {
+      return { error: 'API key has been revoked' };
+    }
+    return { apiKey: this.toJSON(row) };
+  }
+
+  // Counts the request against the key's daily quota, if it has one; returns
+  // the rate limiter's { allowed, used, limit, remaining, resetAt } or null
+  async consumeQuota(apiKey, now = Date.now()) {
+    if (!apiKey.dailyQuota) {
+      return null;
+    }
+    return rateLimiter.consume(`quota:apikey:${apiKey.id}:${utcDay(now)}`, apiKey.dailyQuota, nextUtcMidnight(now));
+  }
+
+  // Usage is counted in memory and written in batches
+  recordUsage(id, rejected = false) {
+    const entryKey = `${id} ${utcDay()}`;
+    const entry = this.pendingUsage.get(entryKey) || { requests: 0, rejected: 0, lastUsedAt: 0 };
+    entry.requests++;
+    if (rejected) {
+      entry.rejected++;
+    }
+    entry.lastUsedAt = Date.now();
+    this.pendingUsage.set(entryKey, entry);
+  }
+
+  async flushUsage() {
+    if (this.pendingUsage.size === 0) {
+      return;
+    }
+    const pending = this.pendingUsage;
+    this.pendingUsage = new Map();
+
+    try {
+      for (const [entryKey, entry] of pending.entries()) {
+        const [id, day] = entryKey.split(' ');
+        await this.db.run(
+          `INSERT INTO api_key_usage (key_id, day, requests, rejected) VALUES (?, ?, ?, ?)
+           ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + excluded.requests, rejected = rejected + excluded.rejected`,
+          [id, day, entry.requests, entry.rejected]
+        );
+        await this.db.run('UPDATE api_keys SET last_used_at = MAX(COALESCE(last_used_at, 0), ?) WHERE id = ?', [entry.lastUsedAt, id]);
+      }
+    } catch (error) {
+      logger.error('Failed to write API key usage', { error: error.message });
+    }
+  }
+
+  // Readiness check; the database is opened on first use
+  async ping() {
+    await this.init();
+    return this.db.ping();
+  }
+
+  async close() {
+    clearInterval(this.flushTimer);
+    if (this.ready) {
+      await this.flushUsage();
+      await this.db.close();
+    }
+  }
+}
+
+export default ApiKeyStore;
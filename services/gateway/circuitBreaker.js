@@ -0,0 +1,210 @@
+import { EventEmitter } from 'events';
+import { createServiceLogger } from '../../shared/logger.js';
+import { breakerTransitions, breakerState } from './gatewayMetrics.js';
+
+const logger = createServiceLogger('circuit-breaker');
+
+export const BreakerState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Numeric value of each state for the state gauge
+const stateValues = {
+  [BreakerState.CLOSED]: 0,
+  [BreakerState.HALF_OPEN]: 1,
+  [BreakerState.OPEN]: 2
+};
+
+const defaultOptions = {
+  // Trip when this share of the recent requests failed...
+  failureRateThreshold: 0.5,
+  // ...counted over a sliding window of this many requests...
+  windowSize: 20,
+  // ...once at least this many requests have been seen
+  minimumRequests: 10,
+  // Trip immediately after this many failures in a row
+  consecutiveFailureThreshold: 5,
+  // How long an open breaker rejects traffic before allowing trial requests
+  cooldownMs: 30000,
+  // Concurrent trial requests allowed while half-open; this many successes close the breaker
+  halfOpenMaxRequests: 1
+};
+
+class CircuitBreaker {
+  constructor(key, options = {}, onTransition = null) {
+    this.key = key;
+    this.onTransition = onTransition;
+    this.options = { ...defaultOptions, ...options };
+    this.state = BreakerState.CLOSED;
+    this.outcomes = [];
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialsInFlight = 0;
+    this.trialSuccesses = 0;
+    this.lastFailure = null;
+    breakerState.set({ instance: key }, stateValues[this.state]);
+  }
+
+  transition(state, reason) {
+    const previous = this.state;
+    this.state = state;
+
+    if (state === BreakerState.OPEN) {
+      this.openedAt = Date.now();
+    }
+    if (state !== BreakerState.HALF_OPEN) {
+      this.trialsInFlight = 0;
+    }
+    if (state === BreakerState.CLOSED) {
+      this.outcomes = [];
+      this.consecutiveFailures = 0;
+      this.openedAt = null;
+    }
+    this.trialSuccesses = 0;
+
+    breakerTransitions.inc({ instance: this.key, from: previous, to: state });
+    breakerState.set({ instance: this.key }, stateValues[state]);
+    logger.warn('Circuit breaker state changed', { instance: this.key, from: previous, to: state, reason });
+    this.onTransition?.({ instance: this.key, from: previous, to: state, reason });
+  }
+
+  // Whether the instance may receive a request right now; moves an open
+  // breaker to half-open once its cooldown has elapsed
+  canRequest() {
+    if (this.state === BreakerState.OPEN &&
+        Date.now() - this.openedAt >= this.options.cooldownMs) {
+      this.transition(BreakerState.HALF_OPEN, 'cooldown elapsed');
+    }
+
+    if (this.state === BreakerState.HALF_OPEN) {
+      return this.trialsInFlight < this.options.halfOpenMaxRequests;
+    }
+
+    return this.state === BreakerState.CLOSED;
+  }
+
+  // Takes a trial slot when half-open; called in the same tick as canRequest
+  // when the instance is picked, so concurrent requests cannot all see a free
+  // slot. Returns whether a slot was taken.
+  acquire() {
+    if (this.state !== BreakerState.HALF_OPEN) {
+      return false;
+    }
+    this.trialsInFlight++;
+    return true;
+  }
+
+  // Gives back a trial slot whose request was never sent
+  releaseTrial() {
+    if (this.state === BreakerState.HALF_OPEN) {
+      this.trialsInFlight = Math.max(0, this.trialsInFlight - 1);
+    }
+  }
+
+  record(success) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.options.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  onSuccess() {
+    this.consecutiveFailures = 0;
+
+    if (this.state === BreakerState.HALF_OPEN) {
+      this.trialsInFlight = Math.max(0, this.trialsInFlight - 1);
+      this.trialSuccesses++;
+      if (this.trialSuccesses >= this.options.halfOpenMaxRequests) {
+        this.transition(BreakerState.CLOSED, 'trial requests succeeded');
+      }
+      return;
+    }
+
+    this.record(true);
+  }
+
+  onFailure(error) {
+    this.consecutiveFailures++;
+    this.lastFailure = { message: error?.message, at: new Date().toISOString() };
+
+    if (this.state === BreakerState.HALF_OPEN) {
+      this.transition(BreakerState.OPEN, 'trial request failed');
+      return;
+    }
+
+    if (this.state !== BreakerState.CLOSED) {
+      return;
+    }
+
+    this.record(false);
+
+    if (this.consecutiveFailures >= this.options.consecutiveFailureThreshold) {
+      this.transition(BreakerState.OPEN, `${this.consecutiveFailures} consecutive failures`);
+      return;
+    }
+
+    const failureRate = this.failureRate();
+    if (this.outcomes.length >= this.options.minimumRequests &&
+        failureRate >= this.options.failureRateThreshold) {
+      this.transition(BreakerState.OPEN, `failure rate ${Math.round(failureRate * 100)}%`);
+    }
+  }
+
+  failureRate() {
+    if (this.outcomes.length === 0) {
+      return 0;
+    }
+    return this.outcomes.filter(success => !success).length / this.outcomes.length;
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      failureRate: Number(this.failureRate().toFixed(3)),
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === BreakerState.OPEN
+        ? new Date(this.openedAt + this.options.cooldownMs).toISOString()
+        : null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+// Keeps one breaker per upstream instance; emits 'transition' with
+// { instance, from, to, reason } whenever one changes state
+class CircuitBreakerRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.breakers = new Map();
+  }
+
+  get(key, options = {}) {
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(key, { ...this.options, ...options }, (transition) => this.emit('transition', transition)));
+    }
+    return this.breakers.get(key);
+  }
+
+  isAvailable(key) {
+    const breaker = this.breakers.get(key);
+    return !breaker || breaker.canRequest();
+  }
+
+  // Instances without a breaker yet have never failed
+  getState(key) {
+    return this.breakers.get(key)?.state || BreakerState.CLOSED;
+  }
+
+  snapshot() {
+    return Object.fromEntries(
+      Array.from(this.breakers.entries()).map(([key, breaker]) => [key, breaker.snapshot()])
+    );
+  }
+}
+
+export { CircuitBreaker };
+export default CircuitBreakerRegistry;
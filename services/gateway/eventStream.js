@@ -0,0 +1,81 @@
+const DEFAULT_REPLAY_SIZE = 200;
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 3000;
+
+// Server-Sent Events fan-out for the dashboard. Every event gets an
+// increasing id; a client reconnecting with Last-Event-ID is sent what it
+// missed from a short replay buffer.
+class EventStream {
+  constructor({ replaySize = DEFAULT_REPLAY_SIZE } = {}) {
+    this.replaySize = replaySize;
+    this.clients = new Set();
+    this.history = [];
+    this.lastId = 0;
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+
+  format(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+  }
+
+  // Takes over an Express response; onConnect(send) can write initial
+  // events to just this client
+  subscribe(req, res, onConnect) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+    if (Number.isInteger(lastEventId)) {
+      for (const event of this.history.filter(event => event.id > lastEventId)) {
+        res.write(this.format(event));
+      }
+    }
+
+    if (onConnect) {
+      onConnect((type, data) => res.write(this.format({ id: this.lastId, type, data })));
+    }
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    this.clients.add(res);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(res);
+    });
+  }
+
+  // Events published with replay: false (e.g. periodic snapshots) are not
+  // kept for reconnecting clients
+  publish(type, data, { replay = true } = {}) {
+    const event = { id: ++this.lastId, type, data };
+    if (replay) {
+      this.history.push(event);
+      if (this.history.length > this.replaySize) {
+        this.history.shift();
+      }
+    }
+
+    const message = this.format(event);
+    for (const res of this.clients) {
+      res.write(message);
+    }
+    return event;
+  }
+
+  // Ends every open stream, e.g. when draining
+  closeAll() {
+    for (const res of this.clients) {
+      res.end();
+    }
+  }
+}
+
+export default EventStream;
@@ -0,0 +1,380 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { createServiceLogger } from '../../shared/logger.js';
+import RetryPolicy from './retryPolicy.js';
+import { strategyNames } from './loadBalancer.js';
+import { parseVersion, validateInstanceFilter } from '../../shared/instanceFilter.js';
+
+const logger = createServiceLogger('gateway-config');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const defaultConfigPath = process.env.GATEWAY_CONFIG || path.join(__dirname, 'gateway.config.json');
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+function validateRetry(retry, where, errors) {
+  if (retry === undefined) {
+    return;
+  }
+  if (!isObject(retry)) {
+    errors.push(`${where}.retry must be an object`);
+    return;
+  }
+  if (retry.maxAttempts !== undefined && !isPositiveInteger(retry.maxAttempts)) {
+    errors.push(`${where}.retry.maxAttempts must be a positive integer`);
+  }
+  if (retry.retryOnStatus !== undefined &&
+      (!Array.isArray(retry.retryOnStatus) || !retry.retryOnStatus.every(Number.isInteger))) {
+    errors.push(`${where}.retry.retryOnStatus must be an array of status codes`);
+  }
+}
+
+function validatePositiveIntegers(section, name, where, errors) {
+  if (section === undefined) {
+    return;
+  }
+  if (!isObject(section)) {
+    errors.push(`${where}.${name} must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(section)) {
+    if (key.endsWith('Ms') || key.endsWith('Threshold') || key === 'consecutiveErrors' || key === 'maxEjectionPercent') {
+      if (!isPositiveInteger(value)) {
+        errors.push(`${where}.${name}.${key} must be a positive integer`);
+      }
+    }
+  }
+  if (name === 'healthCheck' && section.path !== undefined &&
+      (typeof section.path !== 'string' || !section.path.startsWith('/'))) {
+    errors.push(`${where}.healthCheck.path must be a path starting with /`);
+  }
+}
+
+const isNameList = (value) => Array.isArray(value) && value.every(name => typeof name === 'string' && name !== '');
+
+function validateAuth(auth, where, errors) {
+  if (!isObject(auth)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  if (auth.required !== undefined && typeof auth.required !== 'boolean') {
+    errors.push(`${where}.required must be true or false`);
+  }
+  if (auth.scopes !== undefined && !isNameList(auth.scopes)) {
+    errors.push(`${where}.scopes must be a list of scope names`);
+  }
+  if (auth.roles !== undefined && !isNameList(auth.roles)) {
+    errors.push(`${where}.roles must be a list of role names`);
+  }
+  if (auth.apiKey !== undefined && typeof auth.apiKey !== 'boolean') {
+    errors.push(`${where}.apiKey must be true or false`);
+  }
+}
+
+function validateStrategy(strategy, where, errors) {
+  if (strategy !== undefined && !strategyNames.includes(strategy)) {
+    errors.push(`${where}.strategy must be one of ${strategyNames.join(', ')}`);
+  }
+}
+
+// What the consistent-hash strategy hashes on: "ip", "path", "header:<name>" or "query:<name>"
+function validateHashKey(hashKey, where, errors) {
+  if (hashKey !== undefined && (typeof hashKey !== 'string' || !/^(ip|path|(header|query):[^:]+)$/.test(hashKey))) {
+    errors.push(`${where}.hashKey must be ip, path, header:<name> or query:<name>`);
+  }
+}
+
+// Returns a list of problems with the config, empty when it is usable
+export function validateGatewayConfig(config) {
+  const errors = [];
+
+  if (!isObject(config)) {
+    return ['config must be a JSON object'];
+  }
+
+  const defaults = config.defaults || {};
+  if (!isObject(defaults)) {
+    errors.push('defaults must be an object');
+  } else {
+    validateStrategy(defaults.strategy, 'defaults', errors);
+    validateRetry(defaults.retry, 'defaults', errors);
+    validatePositiveIntegers(defaults.healthCheck, 'healthCheck', 'defaults', errors);
+    validatePositiveIntegers(defaults.outlierDetection, 'outlierDetection', 'defaults', errors);
+    if (defaults.timeoutMs !== undefined && !isPositiveInteger(defaults.timeoutMs)) {
+      errors.push('defaults.timeoutMs must be a positive integer');
+    }
+  }
+
+  const upstreams = config.upstreams || {};
+  if (!isObject(upstreams)) {
+    errors.push('upstreams must be an object keyed by service name');
+  } else {
+    for (const [serviceName, upstream] of Object.entries(upstreams)) {
+      const where = `upstreams.${serviceName}`;
+      if (!isObject(upstream)) {
+        errors.push(`${where} must be an object`);
+        continue;
+      }
+      validateStrategy(upstream.strategy, where, errors);
+      validateHashKey(upstream.hashKey, where, errors);
+      validatePositiveIntegers(upstream.healthCheck, 'healthCheck', where, errors);
+      validatePositiveIntegers(upstream.outlierDetection, 'outlierDetection', where, errors);
+      if (upstream.instances !== undefined) {
+        if (!Array.isArray(upstream.instances)) {
+          errors.push(`${where}.instances must be an array`);
+        } else {
+          upstream.instances.forEach((instance, index) => {
+            if (!isObject(instance) || typeof instance.address !== 'string' || !isPositiveInteger(instance.port)) {
+              errors.push(`${where}.instances[${index}] needs an address and a port`);
+              return;
+            }
+            if (instance.tags !== undefined &&
+                (!Array.isArray(instance.tags) || !instance.tags.every(tag => typeof tag === 'string'))) {
+              errors.push(`${where}.instances[${index}].tags must be a list of tags`);
+            }
+            if (instance.version !== undefined && !parseVersion(instance.version)) {
+              errors.push(`${where}.instances[${index}].version must be a version number`);
+            }
+            if (instance.zone !== undefined && typeof instance.zone !== 'string') {
+              errors.push(`${where}.instances[${index}].zone must be a string`);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  if (!Array.isArray(config.routes)) {
+    errors.push('routes must be an array');
+    return errors;
+  }
+
+  const names = new Set();
+  config.routes.forEach((route, index) => {
+    const where = `routes[${index}]`;
+    if (!isObject(route)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (typeof route.name !== 'string' || route.name === '') {
+      errors.push(`${where}.name is required`);
+    } else if (names.has(route.name)) {
+      errors.push(`${where}.name "${route.name}" is used by another route`);
+    } else {
+      names.add(route.name);
+    }
+    if (typeof route.prefix !== 'string' || !route.prefix.startsWith('/')) {
+      errors.push(`${where}.prefix must be a path starting with /`);
+    }
+    if (typeof route.service !== 'string' || route.service === '') {
+      errors.push(`${where}.service is required`);
+    }
+    if (route.methods !== undefined &&
+        (!Array.isArray(route.methods) || !route.methods.every(method => HTTP_METHODS.includes(method)))) {
+      errors.push(`${where}.methods must be a list of HTTP methods`);
+    }
+    if (route.rewrite !== undefined && typeof route.rewrite !== 'string') {
+      errors.push(`${where}.rewrite must be a string`);
+    }
+    if (route.timeoutMs !== undefined && !isPositiveInteger(route.timeoutMs)) {
+      errors.push(`${where}.timeoutMs must be a positive integer`);
+    }
+    if (route.auth !== undefined) {
+      validateAuth(route.auth, `${where}.auth`, errors);
+    }
+    if (route.filter !== undefined) {
+      errors.push(...validateInstanceFilter(route.filter, `${where}.filter`));
+    }
+    validateStrategy(route.strategy, where, errors);
+    validateHashKey(route.hashKey, where, errors);
+    validateRetry(route.retry, where, errors);
+  });
+
+  return errors;
+}
+
+// Compiled, immutable view of the routes in one config version
+class RouteTable {
+  constructor(config) {
+    const defaults = config.defaults || {};
+    const upstreams = config.upstreams || {};
+
+    this.routes = config.routes
+      .map(route => {
+        const upstream = upstreams[route.service] || {};
+        const strategy = route.strategy || upstream.strategy || defaults.strategy;
+
+        return {
+          name: route.name,
+          prefix: route.prefix.replace(/\/+$/, '') || '/',
+          methods: route.methods || null,
+          service: route.service,
+          rewrite: route.rewrite,
+          timeoutMs: route.timeoutMs || defaults.timeoutMs || 10000,
+          retryPolicy: new RetryPolicy({ ...defaults.retry, ...route.retry }),
+          // Only instances matching { tags, version, zone } serve the route
+          filter: route.filter || null,
+          // Routes that override the upstream strategy or filter the instances
+          // balance over their own pool
+          balancerKey: route.strategy || route.filter ? `${route.service}:${route.name}` : route.service,
+          balancing: {
+            strategy,
+            hashKey: route.hashKey || upstream.hashKey
+          },
+          auth: route.auth || { required: false }
+        };
+      })
+      // Longest prefix wins
+      .sort((a, b) => b.prefix.length - a.prefix.length);
+  }
+
+  // Returns { route } on a match, { allowedMethods } when only the method is
+  // wrong, or null when no route covers the path
+  match(method, requestPath) {
+    let allowedMethods = null;
+    // Upstream services route case-insensitively, as Express does by default,
+    // so prefixes have to match the same way or /api/Auth/... would slip past
+    // the route meant for it
+    const matchPath = requestPath.toLowerCase();
+
+    for (const route of this.routes) {
+      const prefix = route.prefix.toLowerCase();
+      const covered = prefix === '/' ||
+        matchPath === prefix ||
+        matchPath.startsWith(`${prefix}/`);
+
+      if (!covered) {
+        continue;
+      }
+      if (!route.methods || route.methods.includes(method)) {
+        return { route };
+      }
+      allowedMethods = [...(allowedMethods || []), ...route.methods];
+    }
+
+    return allowedMethods ? { allowedMethods: [...new Set(allowedMethods)] } : null;
+  }
+
+  // Path to request on the upstream instance
+  upstreamPath(route, requestPath) {
+    if (route.rewrite === undefined) {
+      return requestPath;
+    }
+    const rest = route.prefix === '/' ? requestPath : requestPath.slice(route.prefix.length);
+    return `${route.rewrite.replace(/\/+$/, '')}${rest}` || '/';
+  }
+
+  describe() {
+    return this.routes.map(({ retryPolicy, ...route }) => ({
+      ...route,
+      retry: retryPolicy.options
+    }));
+  }
+}
+
+export function loadGatewayConfig(filePath = defaultConfigPath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const errors = validateGatewayConfig(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid gateway config ${filePath}: ${errors.join('; ')}`);
+  }
+
+  const upstreams = raw.upstreams || {};
+
+  return {
+    filePath,
+    loadedAt: new Date().toISOString(),
+    routeTable: new RouteTable(raw),
+    upstreams,
+    defaults: raw.defaults || {},
+    // Instances listed in the config, used when service discovery knows none
+    staticInstances: new Map(
+      Object.entries(upstreams).map(([serviceName, upstream]) => [
+        serviceName,
+        (upstream.instances || []).map(instance => ({
+          id: `${serviceName}-${instance.address}-${instance.port}`,
+          healthy: true,
+          tags: [],
+          version: null,
+          zone: null,
+          ...instance
+        }))
+      ])
+    )
+  };
+}
+
+// Holds the active config snapshot and swaps it atomically on reload. Requests
+// keep a reference to the snapshot they started with, so a reload never
+// changes the routing of a request that is already in flight.
+export class ConfigManager extends EventEmitter {
+  constructor(filePath = defaultConfigPath) {
+    super();
+    this.filePath = filePath;
+    this.version = 1;
+    this.current = { ...loadGatewayConfig(filePath), version: this.version };
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  // Loads and validates the file; the running config is kept when that fails
+  reload(trigger = 'manual') {
+    let next;
+    try {
+      next = loadGatewayConfig(this.filePath);
+    } catch (error) {
+      logger.error('Gateway config reload rejected, keeping current config', {
+        trigger,
+        version: this.version,
+        error: error.message
+      });
+      return { reloaded: false, version: this.version, error: error.message };
+    }
+
+    const previous = this.current;
+    this.version++;
+    this.current = { ...next, version: this.version };
+
+    logger.info('Gateway config reloaded', {
+      trigger,
+      version: this.version,
+      routes: this.current.routeTable.routes.length
+    });
+    this.emit('reloaded', this.current, previous);
+
+    return { reloaded: true, version: this.version };
+  }
+
+  // Watches the directory rather than the file so that editors which save by
+  // renaming a temporary file are picked up too
+  watch() {
+    const fileName = path.basename(this.filePath);
+
+    this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changed) => {
+      if (changed !== fileName) {
+        return;
+      }
+      // Editors often emit several events per save
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload('file change'), 200);
+    });
+    this.watcher.unref();
+
+    logger.info('Watching gateway config for changes', { filePath: this.filePath });
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+    }
+  }
+}
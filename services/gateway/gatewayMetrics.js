@@ -0,0 +1,51 @@
+import metrics from '../../shared/metrics.js';
+
+// Gateway-specific series; HTTP request metrics come from the shared middleware
+
+export const upstreamSelections = metrics.counter({
+  name: 'gateway_upstream_selections_total',
+  help: 'Times the load balancer picked each upstream instance',
+  labelNames: ['upstream', 'instance']
+});
+
+export const upstreamInFlight = metrics.gauge({
+  name: 'gateway_upstream_requests_in_flight',
+  help: 'Proxied requests currently open to each upstream instance',
+  labelNames: ['upstream', 'instance']
+});
+
+export const upstreamDuration = metrics.histogram({
+  name: 'gateway_upstream_request_duration_seconds',
+  help: 'Latency of each proxy attempt until the upstream response ended, by status or error code',
+  labelNames: ['upstream', 'instance', 'status']
+});
+
+export const retries = metrics.counter({
+  name: 'gateway_retries_total',
+  help: 'Proxy attempts retried on another instance',
+  labelNames: ['route', 'upstream']
+});
+
+export const giveUps = metrics.counter({
+  name: 'gateway_retry_give_ups_total',
+  help: 'Failed proxy attempts that were not retried, by reason',
+  labelNames: ['route', 'upstream', 'reason']
+});
+
+export const breakerTransitions = metrics.counter({
+  name: 'gateway_circuit_breaker_transitions_total',
+  help: 'Circuit breaker state changes per upstream instance',
+  labelNames: ['instance', 'from', 'to']
+});
+
+export const breakerState = metrics.gauge({
+  name: 'gateway_circuit_breaker_state',
+  help: 'Circuit breaker state per upstream instance: 0 closed, 1 half-open, 2 open',
+  labelNames: ['instance']
+});
+
+export const authFailures = metrics.counter({
+  name: 'gateway_auth_failures_total',
+  help: 'Requests rejected by the token check, by route and reason',
+  labelNames: ['route', 'reason']
+});
@@ -0,0 +1,344 @@
+import { EventEmitter } from 'events';
+import { createServiceLogger } from '../../shared/logger.js';
+import { probeHealth } from '../../shared/healthProbe.js';
+import { instanceKey } from './loadBalancer.js';
+import { InstanceState } from '../../shared/serviceDiscovery.js';
+
+const logger = createServiceLogger('health-checker');
+
+export const defaultHealthCheck = {
+  path: '/health/ready',
+  intervalMs: 10000,
+  timeoutMs: 2000,
+  // Consecutive passing checks before an unhealthy instance is used again
+  healthyThreshold: 2,
+  // Consecutive failing checks before an instance is taken out
+  unhealthyThreshold: 3,
+  expectedStatus: null,
+  expectedBody: null
+};
+
+export const defaultOutlierDetection = {
+  // Consecutive proxied-request failures that eject an instance
+  consecutiveErrors: 5,
+  // Ejection time doubles with every ejection, up to the maximum
+  baseEjectionMs: 30000,
+  maxEjectionMs: 300000,
+  // Never eject more than this share of a service's instances
+  maxEjectionPercent: 50
+};
+
+// Active health checks on an interval per service, plus passive outlier
+// detection fed with the outcome of real proxied requests. Emits 'change'
+// with { service, instance, event, reason } when an instance leaves or
+// rejoins the rotation.
+class HealthChecker extends EventEmitter {
+  constructor(getInstances) {
+    super();
+    // (serviceName) => Promise<instance[]>
+    this.getInstances = getInstances;
+    this.upstreams = {};
+    this.defaults = {};
+    this.states = new Map();
+    this.timers = new Map();
+    // One timer per ejected instance, to announce its return when the ejection expires
+    this.ejectionTimers = new Map();
+    // Instance keys per service as of the last listing
+    this.listed = new Map();
+  }
+
+  healthCheckOptions(serviceName) {
+    return {
+      ...defaultHealthCheck,
+      ...this.defaults.healthCheck,
+      ...this.upstreams[serviceName]?.healthCheck
+    };
+  }
+
+  outlierOptions(serviceName) {
+    return {
+      ...defaultOutlierDetection,
+      ...this.defaults.outlierDetection,
+      ...this.upstreams[serviceName]?.outlierDetection
+    };
+  }
+
+  getState(serviceName, instance) {
+    const key = instanceKey(instance);
+    if (!this.states.has(key)) {
+      this.states.set(key, {
+        service: serviceName,
+        instance: key,
+        healthy: true,
+        reason: null,
+        consecutiveSuccesses: 0,
+        consecutiveFailures: 0,
+        lastCheck: null,
+        passiveFailures: 0,
+        ejectedUntil: null,
+        ejectionCount: 0,
+        lastEjectedAt: null
+      });
+    }
+    return this.states.get(key);
+  }
+
+  isEjected(state) {
+    return state.ejectedUntil !== null && Date.now() < state.ejectedUntil;
+  }
+
+  isAvailable(instance) {
+    const state = this.states.get(instanceKey(instance));
+    return !state || (state.healthy && !this.isEjected(state));
+  }
+
+  // (Re)starts the active check timers, one per service with its own interval
+  configure(gatewayConfig) {
+    this.upstreams = gatewayConfig.upstreams;
+    this.defaults = gatewayConfig.defaults;
+
+    this.stop();
+    for (const state of this.states.values()) {
+      if (!this.upstreams[state.service]) {
+        this.forget(state);
+      }
+    }
+    for (const serviceName of this.listed.keys()) {
+      if (!this.upstreams[serviceName]) {
+        this.listed.delete(serviceName);
+      }
+    }
+    for (const serviceName of Object.keys(this.upstreams)) {
+      const { intervalMs } = this.healthCheckOptions(serviceName);
+      const timer = setInterval(() => this.checkService(serviceName), intervalMs);
+      timer.unref();
+      this.timers.set(serviceName, timer);
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  }
+
+  async checkService(serviceName) {
+    const options = this.healthCheckOptions(serviceName);
+
+    let instances;
+    try {
+      instances = await this.getInstances(serviceName);
+    } catch (error) {
+      logger.error('Failed to list instances for health checks', { service: serviceName, error: error.message });
+      return;
+    }
+    this.retainInstances(serviceName, instances);
+
+    // Disabled instances are out of the picture until re-enabled or re-checked
+    const checked = instances.filter(instance => instance.adminState !== InstanceState.DISABLED);
+    await Promise.all(checked.map(async (instance) => {
+      const url = `http://${instance.address}:${instance.port}${options.path}`;
+      const result = await probeHealth(url, options);
+      this.recordCheck(serviceName, instance, result, options);
+    }));
+  }
+
+  recordCheck(serviceName, instance, result, options) {
+    const state = this.getState(serviceName, instance);
+    state.lastCheck = new Date().toISOString();
+
+    if (result.healthy) {
+      state.consecutiveFailures = 0;
+      state.consecutiveSuccesses++;
+      if (!state.healthy && state.consecutiveSuccesses >= options.healthyThreshold) {
+        state.healthy = true;
+        state.reason = null;
+        logger.info('Instance passed health checks, back in rotation', { service: serviceName, instance: state.instance });
+        this.emitChange(state, 'healthy');
+      }
+      return;
+    }
+
+    state.consecutiveSuccesses = 0;
+    state.consecutiveFailures++;
+    if (state.healthy && state.consecutiveFailures >= options.unhealthyThreshold) {
+      state.healthy = false;
+      state.reason = result.reason;
+      logger.warn('Instance failed health checks, out of rotation', {
+        service: serviceName,
+        instance: state.instance,
+        reason: result.reason
+      });
+      this.emitChange(state, 'unhealthy');
+    }
+  }
+
+  // Probes one instance right away and applies the result without waiting
+  // for the thresholds; a passing check also lifts an outlier ejection
+  async recheck(serviceName, instance) {
+    const options = this.healthCheckOptions(serviceName);
+    const result = await probeHealth(`http://${instance.address}:${instance.port}${options.path}`, options);
+    const state = this.getState(serviceName, instance);
+    const wasAvailable = state.healthy && !this.isEjected(state);
+
+    state.lastCheck = new Date().toISOString();
+    if (result.healthy) {
+      state.healthy = true;
+      state.reason = null;
+      state.consecutiveFailures = 0;
+      state.consecutiveSuccesses = options.healthyThreshold;
+      state.passiveFailures = 0;
+      state.ejectedUntil = null;
+      this.clearEjectionTimer(state);
+    } else {
+      state.healthy = false;
+      state.reason = result.reason;
+      state.consecutiveSuccesses = 0;
+      state.consecutiveFailures = options.unhealthyThreshold;
+    }
+
+    logger.info('Instance re-checked on request', { service: serviceName, instance: state.instance, healthy: result.healthy, reason: result.reason });
+    if (wasAvailable !== (state.healthy && !this.isEjected(state))) {
+      this.emitChange(state, result.healthy ? 'healthy' : 'unhealthy');
+    }
+    return this.describeState(state);
+  }
+
+  // Passive outlier detection: called with the outcome of each proxied request
+  recordResult(serviceName, instance, success, reason) {
+    const state = this.getState(serviceName, instance);
+    const options = this.outlierOptions(serviceName);
+
+    if (success) {
+      state.passiveFailures = 0;
+      // Instances that stayed out of trouble for a while start over at the base ejection time
+      if (state.ejectionCount > 0 && Date.now() - state.lastEjectedAt > options.maxEjectionMs) {
+        state.ejectionCount = 0;
+      }
+      return;
+    }
+
+    state.passiveFailures++;
+    if (state.passiveFailures < options.consecutiveErrors || this.isEjected(state)) {
+      return;
+    }
+
+    if (!this.canEject(serviceName, options)) {
+      logger.warn('Outlier not ejected, too many instances already out', { service: serviceName, instance: state.instance });
+      return;
+    }
+
+    const ejectionMs = Math.min(options.maxEjectionMs, options.baseEjectionMs * 2 ** state.ejectionCount);
+    state.ejectionCount++;
+    state.lastEjectedAt = Date.now();
+    state.ejectedUntil = Date.now() + ejectionMs;
+    state.passiveFailures = 0;
+    state.reason = `ejected after ${options.consecutiveErrors} consecutive request failures (${reason})`;
+
+    logger.warn('Instance ejected as outlier', {
+      service: serviceName,
+      instance: state.instance,
+      ejectionMs,
+      ejectionCount: state.ejectionCount,
+      reason
+    });
+    this.emitChange(state, 'ejected', { ejectionMs });
+
+    this.clearEjectionTimer(state);
+    const timer = setTimeout(() => this.endEjection(state), ejectionMs);
+    timer.unref();
+    this.ejectionTimers.set(state.instance, timer);
+  }
+
+  // The instance is considered again once the ejection expires; this only
+  // announces it, isEjected already goes by the expiry time
+  endEjection(state) {
+    this.ejectionTimers.delete(state.instance);
+    state.ejectedUntil = null;
+    if (state.healthy) {
+      state.reason = null;
+    }
+
+    logger.info('Outlier ejection expired', { service: state.service, instance: state.instance, healthy: state.healthy });
+    this.emitChange(state, 'ejection-expired');
+  }
+
+  clearEjectionTimer(state) {
+    clearTimeout(this.ejectionTimers.get(state.instance));
+    this.ejectionTimers.delete(state.instance);
+  }
+
+  emitChange(state, event, details = {}) {
+    this.emit('change', {
+      service: state.service,
+      instance: state.instance,
+      event,
+      available: state.healthy && !this.isEjected(state),
+      reason: state.reason,
+      ...details
+    });
+  }
+
+  // Drops the state of instances that are gone, so they don't count towards
+  // maxEjectionPercent or show up in snapshots
+  retainInstances(serviceName, instances) {
+    const keys = new Set(instances.map(instanceKey));
+    this.listed.set(serviceName, keys);
+    for (const state of this.states.values()) {
+      if (state.service === serviceName && !keys.has(state.instance)) {
+        this.forget(state);
+      }
+    }
+  }
+
+  forget(state) {
+    this.clearEjectionTimer(state);
+    this.states.delete(state.instance);
+  }
+
+  // Counted over the instances listed last, or every known one before the
+  // first listing
+  canEject(serviceName, options) {
+    const listed = this.listed.get(serviceName);
+    const serviceStates = Array.from(this.states.values())
+      .filter(state => state.service === serviceName && (!listed || listed.has(state.instance)));
+    const ejected = serviceStates.filter(state => this.isEjected(state)).length;
+    const total = Math.max(listed?.size ?? 0, serviceStates.length);
+    return (ejected + 1) / total * 100 <= options.maxEjectionPercent;
+  }
+
+  describeState(state) {
+    const ejected = this.isEjected(state);
+    return {
+      available: state.healthy && !ejected,
+      healthy: state.healthy,
+      ejected,
+      ejectedUntil: ejected ? new Date(state.ejectedUntil).toISOString() : null,
+      ejectionCount: state.ejectionCount,
+      // Keep the reason around until the instance is back in rotation
+      reason: state.healthy && !ejected ? null : state.reason,
+      consecutiveFailures: state.consecutiveFailures,
+      lastCheck: state.lastCheck
+    };
+  }
+
+  // Health of one instance; null until it has been checked or used
+  getStatus(instance) {
+    const state = this.states.get(instanceKey(instance));
+    return state ? this.describeState(state) : null;
+  }
+
+  snapshot() {
+    const services = {};
+
+    for (const state of this.states.values()) {
+      services[state.service] = services[state.service] || {};
+      services[state.service][state.instance] = this.describeState(state);
+    }
+
+    return services;
+  }
+}
+
+export default HealthChecker;
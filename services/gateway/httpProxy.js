@@ -0,0 +1,168 @@
+import http from 'http';
+import { identityHeaders, stripIdentityHeaders } from '../../shared/identity.js';
+
+// Headers that describe a single connection and must not be forwarded (RFC 7230, section 6.1)
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+// Bodies up to this size are kept in memory so that a retry can resend them
+const MAX_REPLAY_BODY_BYTES = 1024 * 1024;
+
+const agent = new http.Agent({ keepAlive: true });
+
+function withoutHopByHopHeaders(headers) {
+  // Connection may name further per-connection headers
+  const listed = (headers.connection || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  const dropped = new Set([...HOP_BY_HOP_HEADERS, ...listed]);
+
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !dropped.has(name.toLowerCase()))
+  );
+}
+
+export function buildUpstreamHeaders(req) {
+  const headers = withoutHopByHopHeaders(req.headers);
+  delete headers.host;
+
+  const clientAddress = req.socket.remoteAddress;
+  headers['x-forwarded-for'] = req.headers['x-forwarded-for']
+    ? `${req.headers['x-forwarded-for']}, ${clientAddress}`
+    : clientAddress;
+  headers['x-forwarded-proto'] = req.protocol;
+  if (req.headers.host) {
+    headers['x-forwarded-host'] = req.headers.host;
+  }
+  if (req.requestId) {
+    headers['x-request-id'] = req.requestId;
+  }
+
+  // Only the identity the gateway verified reaches the upstream
+  stripIdentityHeaders(headers);
+  Object.assign(headers, identityHeaders(req));
+
+  return headers;
+}
+
+export function buildResponseHeaders(upstreamRes) {
+  return withoutHopByHopHeaders(upstreamRes.headers);
+}
+
+// Streams the client request body to the first upstream attempt while keeping
+// a copy, so later attempts can replay it as long as it was small enough
+export class ReplayableBody {
+  constructor(req, limit = MAX_REPLAY_BODY_BYTES) {
+    this.req = req;
+    this.limit = limit;
+    this.chunks = [];
+    this.size = 0;
+    this.consumed = false;
+    this.complete = false;
+    this.overflow = false;
+  }
+
+  writeTo(upstreamReq) {
+    if (!this.consumed) {
+      this.consumed = true;
+
+      this.req.on('data', (chunk) => {
+        if (this.overflow) {
+          return;
+        }
+        this.size += chunk.length;
+        if (this.size > this.limit) {
+          this.overflow = true;
+          this.chunks = [];
+        } else {
+          this.chunks.push(chunk);
+        }
+      });
+      this.req.on('end', () => {
+        this.complete = true;
+      });
+
+      this.req.pipe(upstreamReq);
+      return;
+    }
+
+    upstreamReq.end(Buffer.concat(this.chunks));
+  }
+
+  // Reads whatever the client has not sent yet after a failed attempt, so the
+  // body can still be replayed; returns whether a replay is possible. A client
+  // that aborts or closes before the end of its body makes it not replayable.
+  async prepareReplay() {
+    if (!this.consumed) {
+      return true;
+    }
+    if (this.overflow) {
+      return false;
+    }
+    if (!this.complete) {
+      if (this.req.destroyed) {
+        return false;
+      }
+      this.req.unpipe();
+      const ended = await new Promise((resolve) => {
+        const settle = (result) => {
+          this.req.off('end', onEnd);
+          this.req.off('error', onFailure);
+          this.req.off('aborted', onFailure);
+          this.req.off('close', onClose);
+          resolve(result);
+        };
+        const onEnd = () => settle(true);
+        const onFailure = () => settle(false);
+        // 'close' after 'end' is the normal order; alone it means the body was cut off
+        const onClose = () => settle(this.complete);
+        this.req.once('end', onEnd);
+        this.req.once('error', onFailure);
+        this.req.once('aborted', onFailure);
+        this.req.once('close', onClose);
+        this.req.resume();
+      });
+      if (!ended) {
+        return false;
+      }
+    }
+    return !this.overflow;
+  }
+}
+
+// Sends a request upstream and resolves with the response as soon as its
+// headers arrive; the body is left for the caller to stream or discard
+export function sendUpstreamRequest({ url, method, headers, body, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const upstreamReq = http.request(url, { method, headers, agent });
+
+    // Time until the response headers arrive; streaming the body after that
+    // is not limited
+    const timer = setTimeout(() => {
+      const error = new Error(`Upstream did not respond within ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      upstreamReq.destroy(error);
+    }, timeoutMs);
+
+    upstreamReq.once('response', (upstreamRes) => {
+      clearTimeout(timer);
+      resolve(upstreamRes);
+    });
+    upstreamReq.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    body.writeTo(upstreamReq);
+  });
+}
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { createServiceLogger } from '../../shared/logger.js';
+
+const logger = createServiceLogger('gateway-auth');
+
+// Unknown key ids make us re-read the JWKS file, at most this often
+const JWKS_RELOAD_INTERVAL_MS = 30000;
+
+function decodeJson(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Claims may carry a list or a space-separated string ("scope" does, per RFC 8693)
+function claimList(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return typeof value === 'string' ? value.split(' ').filter(Boolean) : [];
+}
+
+// Verifies bearer tokens signed with HS256 (shared secret in JWT_SECRET) or
+// RS256 (public keys from the JWKS file in JWT_JWKS_FILE), and checks them
+// against a route's auth settings. Each algorithm is only accepted with its
+// own kind of key, so an RS256 public key can't be used as an HMAC secret.
+class JwtAuthenticator {
+  constructor({
+    secret = process.env.JWT_SECRET,
+    jwksFile = process.env.JWT_JWKS_FILE,
+    issuer = process.env.JWT_ISSUER,
+    audience = process.env.JWT_AUDIENCE,
+    clockToleranceSec = parseInt(process.env.JWT_CLOCK_TOLERANCE_SEC) || 30
+  } = {}) {
+    this.secret = secret || null;
+    this.jwksFile = jwksFile || null;
+    this.issuer = issuer || null;
+    this.audience = audience || null;
+    this.clockToleranceSec = clockToleranceSec;
+    this.keys = new Map();
+    this.keysLoadedAt = 0;
+    if (this.jwksFile) {
+      this.loadKeys();
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.secret || this.jwksFile);
+  }
+
+  // Reads the RSA signing keys from the JWKS file; the previous keys stay in
+  // use when the file can't be read
+  loadKeys() {
+    this.keysLoadedAt = Date.now();
+    try {
+      const { keys = [] } = JSON.parse(fs.readFileSync(this.jwksFile, 'utf8'));
+      const loaded = new Map();
+      keys
+        .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig') && (!jwk.alg || jwk.alg === 'RS256'))
+        .forEach((jwk, index) => loaded.set(jwk.kid || `key-${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' })));
+      this.keys = loaded;
+      logger.info('Loaded JWKS signing keys', { file: this.jwksFile, keys: Array.from(loaded.keys()) });
+    } catch (error) {
+      logger.error('Failed to load JWKS file', { file: this.jwksFile, error: error.message });
+    }
+  }
+
+  getPublicKey(kid) {
+    if (kid && !this.keys.has(kid) && Date.now() - this.keysLoadedAt > JWKS_RELOAD_INTERVAL_MS) {
+      // Maybe the keys were rotated
+      this.loadKeys();
+    }
+    if (!kid) {
+      // Tokens without a key id are only accepted while there is a single key
+      return this.keys.size === 1 ? this.keys.values().next().value : null;
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  verifySignature(header, signingInput, signature) {
+    if (header.alg === 'HS256') {
+      if (!this.secret) {
+        return 'HS256 tokens are not accepted';
+      }
+      const expected = crypto.createHmac('sha256', this.secret).update(signingInput).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature)
+        ? null
+        : 'invalid signature';
+    }
+
+    if (header.alg === 'RS256') {
+      const key = this.jwksFile ? this.getPublicKey(header.kid) : null;
+      if (!key) {
+        return 'unknown signing key';
+      }
+      return crypto.verify('RSA-SHA256', Buffer.from(signingInput), key, signature) ? null : 'invalid signature';
+    }
+
+    return `unsupported algorithm ${header.alg}`;
+  }
+
+  // Returns { claims } for a valid token or { error } saying why it isn't
+  verify(token, now = Date.now()) {
+    const parts = token.split('.');
+    const header = parts.length === 3 ? decodeJson(parts[0]) : null;
+    const claims = header ? decodeJson(parts[1]) : null;
+    if (!header || !claims || typeof claims !== 'object') {
+      return { error: 'malformed token' };
+    }
+
+    const signatureError = this.verifySignature(header, `${parts[0]}.${parts[1]}`, Buffer.from(parts[2], 'base64url'));
+    if (signatureError) {
+      return { error: signatureError };
+    }
+
+    const seconds = now / 1000;
+    if (typeof claims.exp !== 'number') {
+      return { error: 'token has no expiry' };
+    }
+    if (claims.exp + this.clockToleranceSec < seconds) {
+      return { error: 'token expired' };
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - this.clockToleranceSec > seconds) {
+      return { error: 'token not yet valid' };
+    }
+    if (this.issuer && claims.iss !== this.issuer) {
+      return { error: 'unexpected issuer' };
+    }
+    if (this.audience && !claimList(claims.aud).includes(this.audience)) {
+      return { error: 'unexpected audience' };
+    }
+    if (claims.sub === undefined || claims.sub === null || claims.sub === '') {
+      return { error: 'token has no subject' };
+    }
+
+    return { claims };
+  }
+
+  // Checks a request against route auth settings { required, scopes, roles }:
+  // every listed scope and at least one listed role are needed, and either
+  // list makes the route require a token. Returns { user } (null for
+  // anonymous requests on open routes) or { status, error, reason }. A token
+  // that was sent but fails verification is rejected on open routes too, so
+  // the client learns it has to get a new one (RFC 6750 invalid_token).
+  authorize(req, auth = {}) {
+    const required = Boolean(auth.required || auth.scopes?.length || auth.roles?.length);
+    const authorization = req.headers.authorization || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : null;
+
+    if (!token) {
+      return required
+        ? { status: 401, error: 'Authentication required', reason: 'missing_token' }
+        : { user: null };
+    }
+    if (!this.enabled) {
+      // Without keys tokens can't be checked; open routes pass them on untouched
+      return required
+        ? { status: 503, error: 'Token verification is not configured', reason: 'not_configured' }
+        : { user: null };
+    }
+
+    const { claims, error } = this.verify(token);
+    if (error) {
+      return { status: 401, error: `Invalid token: ${error}`, reason: 'invalid_token' };
+    }
+
+    const user = {
+      id: String(claims.sub),
+      roles: claimList(claims.roles),
+      scopes: claimList(claims.scope ?? claims.scp)
+    };
+
+    const missingScopes = (auth.scopes || []).filter(scope => !user.scopes.includes(scope));
+    if (missingScopes.length > 0) {
+      return { status: 403, error: `Missing scopes: ${missingScopes.join(', ')}`, reason: 'insufficient_scope' };
+    }
+    if (auth.roles?.length && !auth.roles.some(role => user.roles.includes(role))) {
+      return { status: 403, error: `Requires one of the roles: ${auth.roles.join(', ')}`, reason: 'insufficient_role' };
+    }
+
+    return { user };
+  }
+}
+
+export default JwtAuthenticator;
@@ -0,0 +1,327 @@
+import crypto from 'crypto';
+
+// Smoothing factor for the exponentially weighted latency average
+const LATENCY_EWMA_ALPHA = 0.3;
+
+// Failed requests count as at least this slow in the latency average, so an
+// instance that fails fast does not look like the quickest one
+const FAILED_REQUEST_LATENCY_MS = 5000;
+
+// Virtual nodes per unit of weight on the consistent hash ring
+const HASH_RING_REPLICAS = 100;
+
+export function instanceKey(instance) {
+  return `${instance.address}:${instance.port}`;
+}
+
+export function instanceWeight(instance) {
+  const weight = Number(instance.meta?.weight ?? instance.weight);
+  return Number.isFinite(weight) && weight > 0 ? weight : 1;
+}
+
+function hash32(value) {
+  return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+}
+
+// Plain rotation over the instance list
+class RoundRobinStrategy {
+  constructor() {
+    this.index = 0;
+  }
+
+  select(instances) {
+    const instance = instances[this.index % instances.length];
+    this.index = (this.index + 1) % instances.length;
+    return instance;
+  }
+
+  describe() {
+    return { index: this.index };
+  }
+}
+
+// Picks the instance with the fewest requests currently in flight
+class LeastOutstandingStrategy {
+  constructor(stats) {
+    this.stats = stats;
+    this.tieBreaker = 0;
+  }
+
+  select(instances) {
+    let lowest = Infinity;
+    let candidates = [];
+
+    for (const instance of instances) {
+      const inFlight = this.stats.get(instanceKey(instance)).inFlight;
+      if (inFlight < lowest) {
+        lowest = inFlight;
+        candidates = [instance];
+      } else if (inFlight === lowest) {
+        candidates.push(instance);
+      }
+    }
+
+    // Rotate through ties so idle instances share the load evenly
+    const instance = candidates[this.tieBreaker % candidates.length];
+    this.tieBreaker++;
+    return instance;
+  }
+
+  describe() {
+    return {};
+  }
+}
+
+// Smooth weighted round-robin (as used by nginx), weights come from instance metadata
+class WeightedRoundRobinStrategy {
+  constructor() {
+    this.currentWeights = new Map();
+  }
+
+  select(instances) {
+    let totalWeight = 0;
+    let best = null;
+    let bestWeight = -Infinity;
+
+    for (const instance of instances) {
+      const key = instanceKey(instance);
+      const weight = instanceWeight(instance);
+      const current = (this.currentWeights.get(key) || 0) + weight;
+
+      this.currentWeights.set(key, current);
+      totalWeight += weight;
+
+      if (current > bestWeight) {
+        bestWeight = current;
+        best = instance;
+      }
+    }
+
+    const bestKey = instanceKey(best);
+    this.currentWeights.set(bestKey, this.currentWeights.get(bestKey) - totalWeight);
+
+    // Forget instances that have left the pool
+    const activeKeys = new Set(instances.map(instanceKey));
+    for (const key of this.currentWeights.keys()) {
+      if (!activeKeys.has(key)) {
+        this.currentWeights.delete(key);
+      }
+    }
+
+    return best;
+  }
+
+  describe() {
+    return { currentWeights: Object.fromEntries(this.currentWeights) };
+  }
+}
+
+// Power of two choices: sample two instances and keep the one with the lower
+// expected cost (observed latency scaled by the work already queued on it)
+class PowerOfTwoChoicesStrategy {
+  constructor(stats) {
+    this.stats = stats;
+  }
+
+  cost(instance) {
+    const stats = this.stats.get(instanceKey(instance));
+    return stats.latencyEwma * (stats.inFlight + 1);
+  }
+
+  select(instances) {
+    if (instances.length === 1) {
+      return instances[0];
+    }
+
+    const first = Math.floor(Math.random() * instances.length);
+    let second = Math.floor(Math.random() * (instances.length - 1));
+    if (second >= first) {
+      second++;
+    }
+
+    const a = instances[first];
+    const b = instances[second];
+    return this.cost(a) <= this.cost(b) ? a : b;
+  }
+
+  describe() {
+    return {};
+  }
+}
+
+// Consistent hashing on a request attribute so the same key keeps landing on
+// the same instance while the pool is stable
+class ConsistentHashStrategy {
+  constructor(stats, options = {}) {
+    this.hashKey = options.hashKey || 'ip';
+    this.ring = [];
+    this.ringSignature = '';
+  }
+
+  resolveKey(req) {
+    const [source, name] = this.hashKey.split(':');
+
+    switch (source) {
+      case 'header':
+        return req.headers[name.toLowerCase()];
+      case 'query':
+        return req.query?.[name];
+      case 'path':
+        return req.path;
+      case 'ip':
+        return req.ip;
+      default:
+        return undefined;
+    }
+  }
+
+  buildRing(instances) {
+    const signature = instances
+      .map(instance => `${instanceKey(instance)}*${instanceWeight(instance)}`)
+      .sort()
+      .join(',');
+
+    if (signature === this.ringSignature) {
+      return;
+    }
+
+    const ring = [];
+    for (const instance of instances) {
+      const key = instanceKey(instance);
+      const replicas = Math.round(HASH_RING_REPLICAS * instanceWeight(instance));
+      for (let i = 0; i < replicas; i++) {
+        ring.push({ point: hash32(`${key}#${i}`), key });
+      }
+    }
+    ring.sort((a, b) => a.point - b.point);
+
+    this.ring = ring;
+    this.ringSignature = signature;
+  }
+
+  select(instances, req) {
+    const requestKey = req ? this.resolveKey(req) : undefined;
+
+    // Requests without the hash key are spread randomly
+    if (requestKey === undefined || requestKey === null || requestKey === '') {
+      return instances[Math.floor(Math.random() * instances.length)];
+    }
+
+    this.buildRing(instances);
+
+    const point = hash32(requestKey);
+    let low = 0;
+    let high = this.ring.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.ring[mid].point < point) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const { key } = this.ring[low % this.ring.length];
+    return instances.find(instance => instanceKey(instance) === key);
+  }
+
+  describe() {
+    return { hashKey: this.hashKey, ringSize: this.ring.length };
+  }
+}
+
+const strategies = {
+  'round-robin': RoundRobinStrategy,
+  'least-outstanding': LeastOutstandingStrategy,
+  'weighted-round-robin': WeightedRoundRobinStrategy,
+  'p2c': PowerOfTwoChoicesStrategy,
+  'consistent-hash': ConsistentHashStrategy
+};
+
+export const strategyNames = Object.keys(strategies);
+
+class LoadBalancer {
+  constructor() {
+    this.strategies = new Map();
+    this.instanceStats = new Map();
+
+    this.stats = {
+      get: (key) => {
+        if (!this.instanceStats.has(key)) {
+          this.instanceStats.set(key, { inFlight: 0, latencyEwma: 0, requests: 0 });
+        }
+        return this.instanceStats.get(key);
+      }
+    };
+  }
+
+  // Strategies are kept per pool key and rebuilt when their options change
+  getStrategy(poolKey, options = {}) {
+    const name = options.strategy || 'round-robin';
+    const signature = JSON.stringify({ name, hashKey: options.hashKey });
+    const existing = this.strategies.get(poolKey);
+
+    if (existing && existing.signature === signature) {
+      return existing;
+    }
+
+    const Strategy = strategies[name];
+    if (!Strategy) {
+      throw new Error(`Unknown load balancing strategy "${name}" for ${poolKey}`);
+    }
+
+    const strategy = new Strategy(this.stats, options);
+    strategy.name = name;
+    strategy.signature = signature;
+    this.strategies.set(poolKey, strategy);
+    return strategy;
+  }
+
+  select(poolKey, instances, req, options) {
+    return this.getStrategy(poolKey, options).select(instances, req);
+  }
+
+  // Drops strategies for pools that are no longer configured
+  retain(poolKeys) {
+    const active = new Set(poolKeys);
+    for (const poolKey of this.strategies.keys()) {
+      if (!active.has(poolKey)) {
+        this.strategies.delete(poolKey);
+      }
+    }
+  }
+
+  // Marks a request as in flight; the returned callback, called with whether
+  // the request failed, records its outcome
+  track(instance) {
+    const stats = this.stats.get(instanceKey(instance));
+    const startTime = Date.now();
+
+    stats.inFlight++;
+    stats.requests++;
+
+    return (failed = false) => {
+      const elapsed = Date.now() - startTime;
+      const latency = failed ? Math.max(elapsed, FAILED_REQUEST_LATENCY_MS) : elapsed;
+      stats.inFlight = Math.max(0, stats.inFlight - 1);
+      stats.latencyEwma = stats.latencyEwma === 0
+        ? latency
+        : LATENCY_EWMA_ALPHA * latency + (1 - LATENCY_EWMA_ALPHA) * stats.latencyEwma;
+    };
+  }
+
+  getInstanceStats(instance) {
+    return this.stats.get(instanceKey(instance));
+  }
+
+  snapshot() {
+    return Object.fromEntries(
+      Array.from(this.strategies.entries()).map(([poolKey, strategy]) => [
+        poolKey,
+        { strategy: strategy.name, ...strategy.describe() }
+      ])
+    );
+  }
+}
+
+export default LoadBalancer;
@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+// application.log plus the files winston rotates it into (application1.log, ...)
+const LOG_FILE_PATTERN = /^application\d*\.log$/;
+const LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const TAIL_POLL_MS = 1000;
+// A search stops after this many lines, newest files first
+const MAX_SCANNED_LINES = 200000;
+// A tail poll skips ahead when more than this was written since the last one
+const MAX_TAIL_BYTES = 1024 * 1024;
+
+function parseTime(value, name) {
+  if (value === undefined) {
+    return { value: null };
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    return { error: `${name} must be an ISO date or epoch milliseconds` };
+  }
+  return { value: time };
+}
+
+function splitList(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString());
+    if (Number.isInteger(cursor.to) && Number.isInteger(cursor.offset) && cursor.offset >= 0) {
+      return cursor;
+    }
+  } catch {
+    // Fall through
+  }
+  return null;
+}
+
+// Validates the query string of a log request; returns { filters } or { error }
+export function parseLogFilters(query) {
+  const levels = splitList(query.level).map(level => level.toLowerCase());
+  const unknownLevel = levels.find(level => !LEVELS.includes(level));
+  if (unknownLevel) {
+    return { error: `Unknown level "${unknownLevel}"` };
+  }
+
+  const from = parseTime(query.from, 'from');
+  const to = parseTime(query.to, 'to');
+  if (from.error || to.error) {
+    return { error: from.error || to.error };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return {
+    filters: {
+      services: splitList(query.service),
+      levels,
+      requestId: query.requestId || null,
+      text: query.q ? String(query.q).toLowerCase() : null,
+      from: from.value,
+      to: to.value,
+      limit,
+      cursor
+    }
+  };
+}
+
+// Searches the JSON lines that every process appends through shared/logger.js
+class LogStore {
+  constructor(logsDir) {
+    this.logsDir = logsDir;
+  }
+
+  async listFiles() {
+    const names = await fs.promises.readdir(this.logsDir).catch(() => []);
+    const files = await Promise.all(
+      names
+        .filter(name => LOG_FILE_PATTERN.test(name))
+        .map(async (name) => {
+          const filePath = path.join(this.logsDir, name);
+          const stat = await fs.promises.stat(filePath);
+          return { path: filePath, name, size: stat.size, modified: stat.mtimeMs };
+        })
+    );
+    // Oldest first
+    return files.sort((a, b) => a.modified - b.modified);
+  }
+
+  // Parses and filters one line; null when it is not a log entry or doesn't match
+  matchLine(line, filters, to) {
+    // Cheap checks on the raw line before parsing it
+    if (filters.text && !line.toLowerCase().includes(filters.text)) {
+      return null;
+    }
+    if (filters.requestId && !line.includes(filters.requestId)) {
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return null;
+    }
+
+    const time = Date.parse(entry.timestamp);
+    if (filters.services.length > 0 && !filters.services.includes(entry.service)) {
+      return null;
+    }
+    if (filters.levels.length > 0 && !filters.levels.includes(entry.level)) {
+      return null;
+    }
+    if (filters.requestId && entry.requestId !== filters.requestId) {
+      return null;
+    }
+    if ((filters.from !== null && time < filters.from) || (to !== null && time > to)) {
+      return null;
+    }
+    return entry;
+  }
+
+  // Newest entries first. The cursor pins the upper time bound of the first
+  // page, so entries written while paging don't shift later pages. Files are
+  // read line by line, newest first, up to MAX_SCANNED_LINES; only the
+  // entries up to the requested page are kept in memory. `truncated` says the
+  // scan stopped early, so `total` only counts what was scanned.
+  async query(filters) {
+    const to = filters.cursor ? filters.cursor.to : (filters.to ?? Date.now());
+    const offset = filters.cursor ? filters.cursor.offset : 0;
+    const keep = offset + filters.limit;
+    const files = await this.listFiles();
+    // Several processes append to the same file, so lines are only roughly in order
+    const newestFirst = (a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp);
+    let matches = [];
+    let total = 0;
+    let scanned = 0;
+    let truncated = false;
+
+    for (const file of [...files].reverse()) {
+      const input = fs.createReadStream(file.path, { encoding: 'utf8' });
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      try {
+        for await (const line of lines) {
+          if (++scanned > MAX_SCANNED_LINES) {
+            truncated = true;
+            break;
+          }
+          const entry = this.matchLine(line, filters, to);
+          if (!entry) {
+            continue;
+          }
+          total++;
+          matches.push(entry);
+          if (matches.length >= keep * 2) {
+            matches = matches.sort(newestFirst).slice(0, keep);
+          }
+        }
+      } finally {
+        lines.close();
+        input.destroy();
+      }
+      if (truncated) {
+        break;
+      }
+    }
+
+    const logs = matches.sort(newestFirst).slice(offset, keep);
+    const nextOffset = offset + logs.length;
+
+    return {
+      logs,
+      total,
+      truncated,
+      limit: filters.limit,
+      nextCursor: nextOffset < total ? encodeCursor({ to, offset: nextOffset }) : null,
+      files: files.map(file => file.name)
+    };
+  }
+
+  // Calls onEntry with every matching entry written from now on; returns a stop function
+  tail(filters, onEntry) {
+    let current = null;
+    let position = 0;
+    let partial = '';
+    let reading = false;
+
+    const poll = async () => {
+      if (reading) {
+        return;
+      }
+      reading = true;
+
+      try {
+        const files = await this.listFiles();
+        const newest = files[files.length - 1];
+        if (!newest) {
+          return;
+        }
+
+        // Start at the end on the first poll; follow rotation to a new file from its start
+        if (current === null) {
+          current = newest.path;
+          position = newest.size;
+          return;
+        }
+        if (newest.path !== current || newest.size < position) {
+          current = newest.path;
+          position = 0;
+          partial = '';
+        }
+        if (newest.size === position) {
+          return;
+        }
+        // Skip ahead over a burst too large to follow; null marks the first
+        // line as cut off, to be dropped
+        if (newest.size - position > MAX_TAIL_BYTES) {
+          position = newest.size - MAX_TAIL_BYTES;
+          partial = null;
+        }
+
+        const stream = fs.createReadStream(current, { encoding: 'utf8', start: position, end: newest.size - 1 });
+        position = newest.size;
+        const cutOff = partial === null;
+        let chunk = partial ?? '';
+        for await (const data of stream) {
+          chunk += data;
+        }
+
+        const lines = chunk.split('\n');
+        if (cutOff && lines.length === 1) {
+          return;
+        }
+        if (cutOff) {
+          lines.shift();
+        }
+        partial = lines.pop();
+        for (const line of lines) {
+          const entry = this.matchLine(line, filters, null);
+          if (entry) {
+            onEntry(entry);
+          }
+        }
+      } catch {
+        // The file may be rotated away mid-read; the next poll picks up the new one
+      } finally {
+        reading = false;
+      }
+    };
+
+    const timer = setInterval(poll, TAIL_POLL_MS);
+    poll();
+    return () => clearInterval(timer);
+  }
+}
+
+export default LogStore;
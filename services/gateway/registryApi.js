@@ -0,0 +1,171 @@
+import express from 'express';
+import { createServiceLogger } from '../../shared/logger.js';
+import { filterFromQuery, parseVersion } from '../../shared/instanceFilter.js';
+import { tokensMatch } from './adminAuth.js';
+
+const logger = createServiceLogger('registry');
+
+const SERVICE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const MIN_TTL_MS = 1000;
+const MAX_TTL_MS = 5 * 60 * 1000;
+
+// Connections from this host; the socket address, not req.ip, so a
+// forwarded-for header can't pass for one
+function isLoopback(address = '') {
+  return address === '::1' || /^(::ffff:)?127\./.test(address);
+}
+
+// Registered instances get real traffic, with the callers' credentials and
+// identity headers, so registering processes have to send REGISTRY_TOKEN.
+// Without a token set only processes on the gateway's own host may register.
+function requireRegistryToken(req, res, next) {
+  const expected = process.env.REGISTRY_TOKEN;
+  if (!expected) {
+    if (isLoopback(req.socket.remoteAddress)) {
+      return next();
+    }
+    logger.warn('Rejected registry request from another host', { method: req.method, url: req.url, ip: req.socket.remoteAddress });
+    return res.status(403).json({ error: 'Only local processes may use the service registry, set REGISTRY_TOKEN to open it to other hosts' });
+  }
+
+  const authorization = req.headers.authorization || '';
+  const given = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : '';
+  if (!given || !tokensMatch(given, expected)) {
+    logger.warn('Rejected registry request', { method: req.method, url: req.url, ip: req.ip });
+    return res.status(401).json({ error: 'Invalid registry token' });
+  }
+  next();
+}
+
+// Validates a registration body; returns { registration } or { errors }
+export function parseRegistration(id, body, defaultTtlMs) {
+  const errors = [];
+  const {
+    service,
+    address = 'localhost',
+    port,
+    meta = {},
+    tags = [],
+    version = null,
+    zone = null,
+    checkUrl,
+    ttlMs = defaultTtlMs
+  } = body;
+
+  if (typeof service !== 'string' || !SERVICE_NAME_PATTERN.test(service)) {
+    errors.push('service must be a name of letters, digits, ".", "_" and "-"');
+  }
+  if (typeof address !== 'string' || address.length === 0) {
+    errors.push('address must be a host name or IP address');
+  }
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push('port must be an integer between 1 and 65535');
+  }
+  if (typeof meta !== 'object' || meta === null || Array.isArray(meta)) {
+    errors.push('meta must be an object');
+  }
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && tag !== '')) {
+    errors.push('tags must be a list of non-empty strings');
+  }
+  if (version !== null && !parseVersion(version)) {
+    errors.push('version must be a version number such as 2.1.0');
+  }
+  if (zone !== null && (typeof zone !== 'string' || zone === '')) {
+    errors.push('zone must be a zone name');
+  }
+  // The health checker requests checkUrl, so it may only point at the
+  // instance itself
+  if (checkUrl !== undefined) {
+    let url = null;
+    try {
+      url = new URL(checkUrl);
+    } catch {
+      errors.push('checkUrl must be an absolute URL');
+    }
+    if (url && (!['http:', 'https:'].includes(url.protocol) || url.hostname.replace(/^\[|\]$/g, '') !== String(address).toLowerCase())) {
+      errors.push('checkUrl must be an http(s) URL on the registered address');
+    }
+  }
+  if (!Number.isInteger(ttlMs) || ttlMs < MIN_TTL_MS || ttlMs > MAX_TTL_MS) {
+    errors.push(`ttlMs must be between ${MIN_TTL_MS} and ${MAX_TTL_MS}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return {
+    registration: {
+      id,
+      service,
+      address,
+      port,
+      // Metadata is string-valued, as in Consul
+      meta: Object.fromEntries(Object.entries(meta).map(([key, value]) => [key, String(value)])),
+      tags: [...new Set(tags)],
+      version,
+      zone,
+      checkUrl,
+      ttlMs
+    }
+  };
+}
+
+// Self-registration over HTTP for processes that can't share the gateway's
+// in-memory registry: register (PUT), renew the lease with heartbeats,
+// deregister (DELETE). Instances that stop sending heartbeats expire.
+export function createRegistryRouter(registry) {
+  const router = express.Router();
+  router.use(requireRegistryToken);
+
+  router.get('/instances', (req, res) => {
+    res.json({ instances: registry.list().map(instance => registry.toJSON(instance)) });
+  });
+
+  // ?tag=v2&version=2.x&zone=eu-1 narrows the list; tags may repeat
+  router.get('/services/:service', (req, res) => {
+    const { filter, errors } = filterFromQuery(req.query);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid instance filter', details: errors });
+    }
+    res.json({
+      service: req.params.service,
+      filter,
+      instances: registry.list(req.params.service, filter).map(instance => registry.toJSON(instance))
+    });
+  });
+
+  router.put('/instances/:id', express.json(), (req, res) => {
+    const { registration, errors } = parseRegistration(req.params.id, req.body || {}, registry.defaultTtlMs);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid registration', details: errors });
+    }
+
+    const existing = registry.get(registration.id);
+    if (existing && existing.service !== registration.service) {
+      return res.status(409).json({ error: `Instance ${registration.id} is registered for service ${existing.service}` });
+    }
+
+    const instance = registry.register(registration);
+    logger.info('Instance registered', { service: instance.service, id: instance.id, address: instance.address, port: instance.port, ttlMs: instance.ttlMs });
+    res.status(existing ? 200 : 201).json(registry.toJSON(instance));
+  });
+
+  router.put('/instances/:id/heartbeat', (req, res) => {
+    const instance = registry.renew(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: `Unknown instance ${req.params.id}, register again` });
+    }
+    res.json({ id: instance.id, expiresAt: registry.toJSON(instance).expiresAt });
+  });
+
+  router.delete('/instances/:id', (req, res) => {
+    const instance = registry.deregister(req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: `Unknown instance ${req.params.id}` });
+    }
+    logger.info('Instance deregistered', { service: instance.service, id: instance.id });
+    res.status(204).end();
+  });
+
+  return router;
+}
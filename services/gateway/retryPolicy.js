@@ -0,0 +1,103 @@
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const defaultOptions = {
+  maxAttempts: 3,
+  baseDelayMs: 100,
+  maxDelayMs: 2000,
+  retryOnStatus: [502, 503, 504],
+  retryOnErrors: ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN']
+};
+
+class RetryPolicy {
+  constructor(options = {}) {
+    this.options = { ...defaultOptions, ...options };
+  }
+
+  get maxAttempts() {
+    return this.options.maxAttempts;
+  }
+
+  // Only requests that are safe to repeat may be retried: idempotent methods,
+  // or anything the client marked with an Idempotency-Key
+  canRetryRequest(req) {
+    return IDEMPOTENT_METHODS.includes(req.method) || Boolean(req.headers['idempotency-key']);
+  }
+
+  isRetryableStatus(statusCode) {
+    return this.options.retryOnStatus.includes(statusCode);
+  }
+
+  isRetryableError(error) {
+    return this.options.retryOnErrors.includes(error.code);
+  }
+
+  // Exponential backoff with full jitter
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * ceiling);
+  }
+}
+
+// Caps retries to a fraction of recent traffic so that retries cannot
+// multiply load on upstreams that are already failing
+class RetryBudget {
+  constructor(options = {}) {
+    this.ratio = options.ratio ?? 0.2;
+    this.minRetriesPerWindow = options.minRetriesPerWindow ?? 10;
+    this.windowMs = options.windowMs ?? 10000;
+    this.bucketMs = 1000;
+    this.buckets = [];
+  }
+
+  currentBucket() {
+    const now = Date.now();
+    const start = now - (now % this.bucketMs);
+
+    this.buckets = this.buckets.filter(bucket => bucket.start > now - this.windowMs);
+
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, requests: 0, retries: 0 };
+      this.buckets.push(bucket);
+    }
+    return bucket;
+  }
+
+  recordRequest() {
+    this.currentBucket().requests++;
+  }
+
+  // Claims a retry from the budget, returns false when the budget is spent
+  tryRetry() {
+    const current = this.currentBucket();
+    const totals = this.totals();
+    const allowed = Math.max(this.minRetriesPerWindow, Math.floor(totals.requests * this.ratio));
+
+    if (totals.retries >= allowed) {
+      return false;
+    }
+
+    current.retries++;
+    return true;
+  }
+
+  totals() {
+    return this.buckets.reduce((sum, bucket) => ({
+      requests: sum.requests + bucket.requests,
+      retries: sum.retries + bucket.retries
+    }), { requests: 0, retries: 0 });
+  }
+
+  snapshot() {
+    this.currentBucket();
+    const totals = this.totals();
+    return {
+      ...totals,
+      ratio: this.ratio,
+      windowMs: this.windowMs
+    };
+  }
+}
+
+export { RetryBudget };
+export default RetryPolicy;
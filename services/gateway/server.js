@@ -1,11 +1,31 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
 import dotenv from 'dotenv';
-import { createServiceLogger } from '../../shared/logger.js';
-import serviceDiscovery from '../../shared/serviceDiscovery.js';
+import { pipeline } from 'stream';
+import { createServiceLogger, logsDir, getLoggingSettings, updateLoggingSettings } from '../../shared/logger.js';
+import serviceDiscovery, { InstanceState } from '../../shared/serviceDiscovery.js';
+import { filterInstances } from '../../shared/instanceFilter.js';
 import messageQueue from '../../shared/messageQueue.js';
 import rateLimiter from '../../shared/rateLimiter.js';
+import LoadBalancer, { instanceKey } from './loadBalancer.js';
+import CircuitBreakerRegistry from './circuitBreaker.js';
+import { RetryBudget } from './retryPolicy.js';
+import { ConfigManager } from './gatewayConfig.js';
+import { requireAdmin } from './adminAuth.js';
+import JwtAuthenticator from './jwtAuth.js';
+import ApiKeyStore, { validateApiKeyRequest } from './apiKeys.js';
+import HealthChecker from './healthChecker.js';
+import { createHealthEndpoints } from '../../shared/health.js';
+import { registerGracefulShutdown } from '../../shared/shutdown.js';
+import metrics from '../../shared/metrics.js';
+import tracing, { SpanKind, StatusCode } from '../../shared/tracing.js';
+import * as gatewayMetrics from './gatewayMetrics.js';
+import LogStore, { parseLogFilters } from './logQuery.js';
+import { createRegistryRouter } from './registryApi.js';
+import EventStream from './eventStream.js';
+import UpstreamStats from './upstreamStats.js';
+import StatsHistory from './statsHistory.js';
+import { ReplayableBody, sendUpstreamRequest, buildUpstreamHeaders, buildResponseHeaders } from './httpProxy.js';
 
 dotenv.config();
 
@@ -13,114 +33,344 @@ const app = express();
 const PORT = 3001;
 const logger = createServiceLogger('api-gateway');
 
-// Middleware
+// Middleware; proxied request bodies are streamed untouched, so JSON is
+// only parsed on the gateway's own endpoints that need it
 app.use(cors());
-app.use(express.json());
+app.use(metrics.createMiddleware('api-gateway'));
+app.get('/metrics', metrics.handler);
+
+// Liveness and readiness; the gateway can route on its static config alone,
+// so discovery and the queue only degrade it
+const health = createHealthEndpoints('api-gateway', {
+  config: {
+    check: () => ({ version: configManager.current.version, loadedAt: configManager.current.loadedAt })
+  },
+  apiKeys: { check: () => apiKeys.ping() },
+  serviceDiscovery: {
+    check: async () => {
+      if (!await serviceDiscovery.isRegistered(`gateway-${PORT}`)) {
+        throw new Error('gateway is not registered');
+      }
+      return { mode: serviceDiscovery.useConsul ? 'consul' : 'fallback' };
+    },
+    critical: false
+  },
+  messageQueue: { check: () => messageQueue.ping(), critical: false }
+});
+app.use(health.router);
+
+// The fallback service registry lives here; other processes register with
+// it over HTTP. Mounted before the request logger to keep heartbeats quiet.
+const registry = serviceDiscovery.serveRegistry();
+app.use('/api/registry', createRegistryRouter(registry));
+if (!process.env.REGISTRY_TOKEN) {
+  logger.warn('REGISTRY_TOKEN is not set, the service registry only accepts registrations from this host');
+}
+
 app.use(logger.requestMiddleware);
+app.use(tracing.createMiddleware('api-gateway'));
+
+// Routes and upstream policies, reloaded on file change, SIGHUP or the admin API
+let configManager;
+try {
+  configManager = new ConfigManager();
+} catch (error) {
+  logger.error('Failed to load gateway config', { error: error.message });
+  process.exit(1);
+}
+
+// Bearer tokens for routes with auth settings, see jwtAuth.js
+const authenticator = new JwtAuthenticator();
+const routesRequireAuth = configManager.current.routeTable.routes
+  .some(({ auth }) => auth.required || auth.scopes?.length || auth.roles?.length);
+if (!authenticator.enabled && routesRequireAuth) {
+  logger.warn('JWT verification is not configured, set JWT_SECRET or JWT_JWKS_FILE; routes requiring auth answer 503');
+}
+
+// API keys for partner integrations, each with its own rate limit and daily quota
+const apiKeys = new ApiKeyStore();
+const apiKeyLimiter = rateLimiter.createApiKeyLimiter({
+  onLimited: (req) => apiKeys.recordUsage(req.apiKey.id, true)
+});
+
+// Rate limit policies from shared/rate-limits.json. Proxied requests are
+// checked once their route and the caller's identity are known, the gateway's
+// own endpoints after the route table.
+const gatewayLimiter = rateLimiter.createGatewayLimiter((req, res) => res.locals.metricsRoute || null);
+
+// Per-instance counters, latency and error rates for /api/gateway/stats,
+// with their history for /api/gateway/stats/history
+const statsHistory = new StatsHistory();
+const upstreamStats = new UpstreamStats({ history: statsHistory });
+
+// Discovered instances of a service, or the static ones from the config when
+// discovery has none; every lookup refreshes the stats view
+async function listInstances(serviceName, gatewayConfig = configManager.current) {
+  const discovered = await serviceDiscovery.discoverServices(serviceName);
+  const instances = discovered.length > 0
+    ? discovered
+    : serviceDiscovery.applyOverrides(gatewayConfig.staticInstances.get(serviceName) || []);
+  upstreamStats.refresh(serviceName, instances, discovered.length > 0 ? 'discovery' : 'static');
+  return instances;
+}
+
+async function refreshUpstreams(serviceNames = Object.keys(configManager.current.upstreams)) {
+  try {
+    await Promise.all(serviceNames.map(serviceName => listInstances(serviceName)));
+  } catch (error) {
+    logger.error('Failed to refresh upstream instances', { error: error.message });
+  }
+}
 
-// Rate limiting
-app.use(rateLimiter.createGatewayLimiter());
+const loadBalancer = new LoadBalancer();
 
-// Dynamic service registry
-const serviceRegistry = new Map();
-const requestCounts = new Map();
+// Active health checks and passive outlier detection per upstream instance
+const healthChecker = new HealthChecker(serviceName => listInstances(serviceName));
+healthChecker.configure(configManager.current);
+refreshUpstreams();
+
+configManager.on('reloaded', (config) => {
+  loadBalancer.retain(config.routeTable.routes.map(route => route.balancerKey));
+  healthChecker.configure(config);
+  upstreamStats.retain(Object.keys(config.upstreams));
+  refreshUpstreams();
+});
 
-let currentIndex = {
-  user: 0,
-  product: 0,
-  order: 0
-};
+// One circuit breaker per upstream instance
+const circuitBreakers = new CircuitBreakerRegistry();
+
+// Retries are capped gateway-wide on top of each route's retry policy
+const retryBudget = new RetryBudget({
+  ratio: parseFloat(process.env.RETRY_BUDGET_RATIO) || 0.2
+});
+
+// Live updates for the dashboard on /api/gateway/events
+const dashboardEvents = new EventStream();
+
+healthChecker.on('change', (change) => {
+  dashboardEvents.publish('health', change);
+  scheduleStatsPush();
+});
+
+circuitBreakers.on('transition', (transition) => {
+  dashboardEvents.publish('breaker', transition);
+  scheduleStatsPush();
+});
 
 // Initialize message queues
 const eventQueue = messageQueue.createQueue('events');
 const auditQueue = messageQueue.createQueue('audit');
 
-// Subscribe to service events
-messageQueue.subscribeToEvents('service.registered', async (data) => {
-  logger.info('Service registered event received', data);
-});
+// Subscribe to service events; handlers get the event envelope, the
+// registration is its `data`
+async function onServiceEvent(event, data) {
+  logger.info(`Service ${event} event received`, { upstream: data.service, instance: data.id });
+  dashboardEvents.publish('service', { ...data, event });
+  // Deregistrations by id alone don't name the service
+  const serviceNames = data.service ? [data.service] : Object.keys(configManager.current.upstreams);
+  await refreshUpstreams(serviceNames.filter(name => configManager.current.upstreams[name]));
+  scheduleStatsPush();
+}
 
-messageQueue.subscribeToEvents('service.deregistered', async (data) => {
-  logger.info('Service deregistered event received', data);
-});
+messageQueue.subscribeToEvents('service.registered', ({ data }) => onServiceEvent('registered', data));
+messageQueue.subscribeToEvents('service.deregistered', ({ data }) => onServiceEvent('deregistered', data));
+
+// Why getNextService found no instance, in error.code
+function noInstanceError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
 
-// Round-robin load balancer
-async function getNextService(serviceName) {
-  // Try service discovery first
-  const discoveredServices = await serviceDiscovery.discoverServices(serviceName);
-  if (discoveredServices.length > 0) {
-    return selectFromDiscoveredServices(serviceName, discoveredServices);
+// Pick an upstream instance using the strategy configured for the route
+async function getNextService(gatewayConfig, route, req, excluded = new Set()) {
+  const serviceName = route.service;
+  
+  // Try service discovery first, then the static instances from the config
+  let services = await listInstances(serviceName, gatewayConfig);
+  if (services.length === 0) {
+    throw noInstanceError('NO_INSTANCES', `No ${serviceName} instances are registered`);
   }
   
-  // Fallback to static registry
-  const services = serviceRegistry[serviceName];
-  const healthyServices = services.filter(service => service.healthy);
+  // Routes with an instance filter only use the instances matching it
+  services = filterInstances(services, route.filter);
+  if (services.length === 0) {
+    throw noInstanceError('NO_MATCHING_INSTANCES', `No ${serviceName} instances match the instance filter of route ${route.name}`);
+  }
   
-  if (healthyServices.length === 0) {
-    throw new Error(`No healthy ${serviceName} services available`);
+  // Draining and disabled instances get no new requests
+  const candidates = services.length;
+  services = services.filter(service => service.adminState === InstanceState.ACTIVE);
+  if (services.length === 0) {
+    throw noInstanceError('INSTANCES_OUT_OF_ROTATION', `All ${candidates} ${serviceName} instances for route ${route.name} are draining or disabled`);
   }
   
-  // Round-robin selection
-  const service = healthyServices[currentIndex[serviceName] % healthyServices.length];
-  currentIndex[serviceName] = (currentIndex[serviceName] + 1) % healthyServices.length;
+  // Leave out instances failing health checks or ejected as outliers
+  services = services.filter(service => healthChecker.isAvailable(service));
+  if (services.length === 0) {
+    throw new Error(`No healthy ${serviceName} services available`);
+  }
   
-  return service;
+  // Retries go to a different instance when there is one
+  const untried = services.filter(service => !excluded.has(instanceKey(service)));
+  return selectFromDiscoveredServices(route, untried.length > 0 ? untried : services, req);
 }
 
-function selectFromDiscoveredServices(serviceName, services) {
-  if (services.length === 0) {
-    throw new Error(`No healthy ${serviceName} services available`);
+function selectFromDiscoveredServices(route, services, req) {
+  // Leave out instances whose circuit breaker is open
+  const availableServices = services.filter(service => circuitBreakers.isAvailable(instanceKey(service)));
+  if (availableServices.length === 0) {
+    throw new Error(`All ${route.service} instances have open circuit breakers`);
   }
   
-  const service = services[currentIndex[serviceName] % services.length];
-  currentIndex[serviceName] = (currentIndex[serviceName] + 1) % services.length;
+  const service = loadBalancer.select(route.balancerKey, availableServices, req, route.balancing);
+  const breaker = circuitBreakers.get(instanceKey(service));
+  const trial = breaker.acquire();
   
   // Track requests
-  const serviceKey = `${service.address}:${service.port}`;
-  const currentCount = requestCounts.get(serviceKey) || 0;
-  requestCounts.set(serviceKey, currentCount + 1);
+  const requests = upstreamStats.recordSelection(route.service, service);
+  gatewayMetrics.upstreamSelections.inc({ upstream: route.service, instance: instanceKey(service) });
   
   return {
+    instance: service,
     url: `http://${service.address}:${service.port}`,
     healthy: service.healthy,
-    requests: requestCounts.get(serviceKey)
+    requests,
+    sent: false,
+    // Frees the half-open trial slot taken above if the request is not sent after all
+    releaseSlot: () => {
+      if (trial) {
+        breaker.releaseTrial();
+      }
+    }
   };
 }
 
-// Health check function
-async function checkServiceHealth(service) {
+// Sends one attempt to an instance and resolves once the upstream answered with headers
+async function forwardAttempt(req, service, route, upstreamUrl, body, attempt) {
+  const breaker = circuitBreakers.get(instanceKey(service.instance));
+  // From here on the breaker's outcome handlers free the trial slot
+  service.sent = true;
+  const labels = { upstream: route.service, instance: instanceKey(service.instance) };
+  const releaseTracking = loadBalancer.track(service.instance);
+  const recordOutcome = upstreamStats.track(route.service, service.instance);
+  const endTimer = gatewayMetrics.upstreamDuration.startTimer(labels);
+  gatewayMetrics.upstreamInFlight.inc(labels);
+  
+  // One client span per attempt, so retries show up side by side in the trace
+  const span = tracing.startSpan(`${req.method} ${route.service}`, {
+    kind: SpanKind.CLIENT,
+    attributes: {
+      'http.request.method': req.method,
+      'url.full': upstreamUrl,
+      'server.address': service.instance.address,
+      'server.port': service.instance.port,
+      'gateway.route': route.name,
+      'gateway.attempt': attempt
+    }
+  });
+  
+  const release = (status) => {
+    const failed = typeof status !== 'number' || status >= 500;
+    releaseTracking(failed);
+    recordOutcome(failed);
+    gatewayMetrics.upstreamInFlight.dec(labels);
+    endTimer({ status });
+    span.end();
+  };
+  
   try {
-    const response = await axios.get(`${service.url}/health`, { timeout: 5000 });
-    return response.status === 200;
+    const upstreamRes = await sendUpstreamRequest({
+      url: upstreamUrl,
+      method: req.method,
+      headers: tracing.inject(buildUpstreamHeaders(req), span),
+      body,
+      timeoutMs: route.timeoutMs
+    });
+    
+    span.setAttribute('http.response.status_code', upstreamRes.statusCode);
+    if (upstreamRes.statusCode >= 500) {
+      span.setStatus(StatusCode.ERROR, `upstream answered ${upstreamRes.statusCode}`);
+    }
+    
+    // A 4xx answer still means the instance is up
+    if (upstreamRes.statusCode >= 500) {
+      const reason = `upstream answered ${upstreamRes.statusCode}`;
+      breaker.onFailure(new Error(reason));
+      healthChecker.recordResult(route.service, service.instance, false, reason);
+    } else {
+      breaker.onSuccess();
+      healthChecker.recordResult(route.service, service.instance, true);
+    }
+    
+    // Latency covers the whole response, not just the headers
+    upstreamRes.once('close', () => release(upstreamRes.statusCode));
+    return upstreamRes;
   } catch (error) {
-    return false;
+    breaker.onFailure(error);
+    healthChecker.recordResult(route.service, service.instance, false, error.code || error.message);
+    span.recordException(error);
+    release(error.code || 'error');
+    throw error;
   }
 }
 
-// Proxy request with retry logic
-async function proxyRequest(req, res, serviceName) {
-  let attempts = 0;
-  const maxAttempts = 3;
+// Streams the upstream response to the client with its status and headers
+function relayResponse(req, res, upstreamRes, target, startTime) {
+  res.writeHead(upstreamRes.statusCode, buildResponseHeaders(upstreamRes));
+  
+  pipeline(upstreamRes, res, (error) => {
+    const duration = Date.now() - startTime;
+    if (error) {
+      logger.error('Streaming upstream response failed', {
+        method: req.method,
+        path: req.path,
+        target,
+        error: error.message,
+        duration: `${duration}ms`,
+        requestId: req.requestId
+      });
+      return;
+    }
+    
+    logger.info('Request completed', {
+      method: req.method,
+      path: req.path,
+      target,
+      statusCode: upstreamRes.statusCode,
+      duration: `${duration}ms`,
+      requestId: req.requestId
+    });
+  });
+}
+
+// Proxy request with retry logic; all attempts use the config snapshot the request started with
+async function proxyRequest(req, res, gatewayConfig, route) {
+  const serviceName = route.service;
+  const upstreamPath = gatewayConfig.routeTable.upstreamPath(route, req.path);
+  const queryIndex = req.originalUrl.indexOf('?');
+  const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+  const body = new ReplayableBody(req);
   const startTime = Date.now();
+  const triedInstances = new Set();
+  let attempts = 0;
+  
+  retryBudget.recordRequest();
   
-  while (attempts < maxAttempts) {
+  while (true) {
+    let service = null;
+    let upstreamRes = null;
+    let error = null;
+    attempts++;
+    
     try {
-      const service = await getNextService(serviceName);
-      service.requests++;
-      
-      const config = {
-        method: req.method,
-        url: `${service.url}${req.path}`,
-        data: req.body,
-        headers: { ...req.headers, host: undefined },
-        timeout: 10000
-      };
+      service = await getNextService(gatewayConfig, route, req, triedInstances);
+      triedInstances.add(instanceKey(service.instance));
       
       logger.info('Proxying request', {
         method: req.method,
         path: req.path,
+        route: route.name,
         target: service.url,
-        attempt: attempts + 1,
+        attempt: attempts,
         requestId: req.requestId
       });
       
@@ -133,104 +383,514 @@ async function proxyRequest(req, res, serviceName) {
         timestamp: new Date().toISOString()
       });
       
-      const response = await axios(config);
-      
+      upstreamRes = await forwardAttempt(req, service, route, `${service.url}${upstreamPath}${query}`, body, attempts);
+    } catch (attemptError) {
+      error = attemptError;
+      if (service && !service.sent) {
+        service.releaseSlot();
+      }
+    }
+    
+    if (upstreamRes && !route.retryPolicy.isRetryableStatus(upstreamRes.statusCode)) {
+      return relayResponse(req, res, upstreamRes, service.url, startTime);
+    }
+    
+    logger.error('Request attempt failed', {
+      serviceName,
+      attempt: attempts,
+      error: error ? error.message : `Upstream answered ${upstreamRes.statusCode}`,
+      target: service?.url,
+      requestId: req.requestId
+    });
+    
+    const giveUpReason = await getGiveUpReason(req, route, service, error, attempts, body);
+    if (giveUpReason) {
+      gatewayMetrics.giveUps.inc({ route: route.name, upstream: serviceName, reason: giveUpReason });
+      tracing.currentSpan()?.addEvent('gateway.give_up', { reason: giveUpReason, attempts });
       const duration = Date.now() - startTime;
-      logger.info('Request completed successfully', {
-        method: req.method,
-        path: req.path,
-        target: service.url,
-        statusCode: response.status,
+      logger.error('Request failed, not retrying', {
+        serviceName,
+        attempts,
+        reason: giveUpReason,
         duration: `${duration}ms`,
         requestId: req.requestId
       });
       
-      return res.status(response.status).json(response.data);
+      // Relay the last upstream answer as it is
+      if (upstreamRes) {
+        return relayResponse(req, res, upstreamRes, service.url, startTime);
+      }
       
-    } catch (error) {
-      attempts++;
-      logger.error('Request attempt failed', {
-        serviceName,
-        attempt: attempts,
-        error: error.message,
+      return res.status(gatewayErrorStatus(service, error)).json({
+        error: `Service ${serviceName} unavailable after ${attempts} attempts`,
+        message: error.message,
         requestId: req.requestId
       });
-      
-      if (attempts === maxAttempts) {
-        const duration = Date.now() - startTime;
-        logger.error('Request failed after all attempts', {
-          serviceName,
-          maxAttempts,
-          duration: `${duration}ms`,
-          requestId: req.requestId
-        });
-        
-        return res.status(500).json({
-          error: `Service ${serviceName} unavailable after ${maxAttempts} attempts`,
-          message: error.message,
-          requestId: req.requestId
+    }
+    
+    // Discard the failed response before trying again
+    if (upstreamRes) {
+      upstreamRes.resume();
+    }
+    
+    gatewayMetrics.retries.inc({ route: route.name, upstream: serviceName });
+    const delay = route.retryPolicy.backoffDelay(attempts);
+    tracing.currentSpan()?.addEvent('gateway.retry', { attempt: attempts + 1, delayMs: delay });
+    logger.info('Retrying request', {
+      serviceName,
+      attempt: attempts + 1,
+      delay: `${delay}ms`,
+      requestId: req.requestId
+    });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+// Runs proxyRequest for a matched route; its failures are answered here
+// rather than by the checks that ran before it
+async function forwardRoute(req, res, gatewayConfig, route) {
+  try {
+    await proxyRequest(req, res, gatewayConfig, route);
+  } catch (error) {
+    logger.error('Proxying failed', { route: route.name, error: error.message, requestId: req.requestId });
+    if (res.headersSent) {
+      // Part of the upstream response is out already; cut it off
+      res.destroy(error);
+    } else {
+      res.status(502).json({ error: 'Proxy error', message: error.message, requestId: req.requestId });
+    }
+  }
+}
+
+// 503 when no instance could be picked, whatever the reason (error.code and
+// the message tell them apart), 504 on upstream timeouts, 502 otherwise
+function gatewayErrorStatus(service, error) {
+  if (!service) {
+    return 503;
+  }
+  return error.code === 'ETIMEDOUT' ? 504 : 502;
+}
+
+// Returns why a failed attempt must not be retried, or null to retry
+async function getGiveUpReason(req, route, service, error, attempts, body) {
+  const { retryPolicy } = route;
+  
+  if (attempts >= retryPolicy.maxAttempts) {
+    return 'max attempts reached';
+  }
+  if (!service) {
+    return 'no instance available';
+  }
+  if (!retryPolicy.canRetryRequest(req)) {
+    return 'request is not idempotent';
+  }
+  if (error && !retryPolicy.isRetryableError(error)) {
+    return 'error is not retryable';
+  }
+  if (!await body.prepareReplay()) {
+    return 'request body cannot be replayed';
+  }
+  if (!retryBudget.tryRetry()) {
+    return 'retry budget exhausted';
+  }
+  return null;
+}
+
+// Identifies partner integrations by their X-API-Key and applies the key's
+// rate limit and daily quota; routes with auth.apiKey need a key
+async function checkApiKey(req, res, route, next) {
+  const presented = req.get('x-api-key');
+  if (!presented) {
+    if (route.auth.apiKey) {
+      gatewayMetrics.authFailures.inc({ route: route.name, reason: 'missing_api_key' });
+      return res.status(401).json({ error: 'API key required, send it in X-API-Key', requestId: req.requestId });
+    }
+    return next();
+  }
+
+  const { apiKey, error } = await apiKeys.authenticate(presented);
+  if (error) {
+    gatewayMetrics.authFailures.inc({ route: route.name, reason: 'invalid_api_key' });
+    logger.warn('Request rejected by API key check', { route: route.name, error, requestId: req.requestId });
+    return res.status(401).json({ error, requestId: req.requestId });
+  }
+  req.apiKey = apiKey;
+
+  apiKeyLimiter(req, res, async () => {
+    try {
+      const quota = await apiKeys.consumeQuota(apiKey);
+      if (quota) {
+        const resetSeconds = Math.ceil((quota.resetAt - Date.now()) / 1000);
+        res.set({
+          'X-Quota-Limit': String(quota.limit),
+          'X-Quota-Remaining': String(quota.remaining),
+          'X-Quota-Reset': String(resetSeconds)
         });
+        if (!quota.allowed) {
+          apiKeys.recordUsage(apiKey.id, true);
+          res.set('Retry-After', String(resetSeconds));
+          return res.status(429).json({
+            error: 'Daily quota exceeded',
+            quota: { limit: quota.limit, used: quota.used, resetAt: new Date(quota.resetAt).toISOString() },
+            requestId: req.requestId
+          });
+        }
       }
+      apiKeys.recordUsage(apiKey.id);
+      next();
+    } catch (quotaError) {
+      logger.error('API key quota check failed', { error: quotaError.message, requestId: req.requestId });
+      res.status(503).json({ error: 'API key check unavailable', requestId: req.requestId });
+    }
+  });
+}
+
+// API routes from the route table
+app.use(async (req, res, next) => {
+  const config = configManager.current;
+  const match = config.routeTable.match(req.method, req.path);
+  if (!match) {
+    return next();
+  }
+  
+  if (!match.route) {
+    res.set('Allow', match.allowedMethods.join(', '));
+    return res.status(405).json({
+      error: `Method ${req.method} not allowed`,
+      requestId: req.requestId
+    });
+  }
+  
+  // Proxied requests are labelled by route name in the request metrics
+  res.locals.metricsRoute = match.route.name;
+  
+  // Verify the bearer token and the route's scopes and roles; upstreams get
+  // the caller's identity in X-User-* headers
+  const { user, status, error, reason } = authenticator.authorize(req, match.route.auth);
+  if (error) {
+    gatewayMetrics.authFailures.inc({ route: match.route.name, reason });
+    logger.warn('Request rejected by token check', { route: match.route.name, reason, error, requestId: req.requestId });
+    // No error code when no token was sent at all (RFC 6750, section 3.1)
+    if (status === 401) {
+      res.set('WWW-Authenticate', reason === 'missing_token' ? 'Bearer realm="api-gateway"' : 'Bearer realm="api-gateway", error="invalid_token"');
+    } else if (status === 403) {
+      res.set('WWW-Authenticate', 'Bearer realm="api-gateway", error="insufficient_scope"');
     }
+    return res.status(status).json({
+      error,
+      requestId: req.requestId
+    });
+  }
+  req.user = user;
+  
+  try {
+    await checkApiKey(req, res, match.route, () =>
+      gatewayLimiter(req, res, () => forwardRoute(req, res, config, match.route)));
+  } catch (apiKeyError) {
+    logger.error('API key check failed', { error: apiKeyError.message, requestId: req.requestId });
+    res.status(503).json({ error: 'API key check unavailable', requestId: req.requestId });
+  }
+});
+
+app.use(gatewayLimiter);
+
+// Re-read the gateway config; the running config stays active if the new one is invalid
+app.post('/api/gateway/admin/config/reload', requireAdmin, (req, res) => {
+  const result = configManager.reload('admin api');
+  res.status(result.reloaded ? 200 : 422).json({
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Instance overrides: drain (no new requests, in-flight ones finish),
+// disable, or change the weight of one "address:port" instance
+const INSTANCE_STATES = Object.values(InstanceState);
+
+function validateInstanceOverride(body) {
+  const errors = [];
+  if (body.state !== undefined && !INSTANCE_STATES.includes(body.state)) {
+    errors.push(`state must be one of ${INSTANCE_STATES.join(', ')}`);
+  }
+  if (body.weight !== undefined && body.weight !== null && !(Number.isFinite(body.weight) && body.weight > 0)) {
+    errors.push('weight must be a positive number, or null to use the registered weight');
+  }
+  if (body.reason !== undefined && body.reason !== null && typeof body.reason !== 'string') {
+    errors.push('reason must be a string');
   }
+  if (body.state === undefined && body.weight === undefined) {
+    errors.push('nothing to change, send state and/or weight');
+  }
+  return errors;
+}
+
+function describeInstance(key) {
+  const found = upstreamStats.findInstance(key);
+  const admin = serviceDiscovery.getInstanceOverride(key);
+  return {
+    service: found.service,
+    instance: key,
+    ...admin,
+    inFlight: found.inFlight,
+    // Draining is complete once nothing is in flight any more
+    drained: admin.state !== InstanceState.ACTIVE && found.inFlight === 0,
+    health: healthChecker.getStatus(found.instance)
+  };
 }
 
-// API routes
-app.all('/api/users*', (req, res) => proxyRequest(req, res, 'user'));
-app.all('/api/products*', (req, res) => proxyRequest(req, res, 'product'));
-app.all('/api/orders*', (req, res) => proxyRequest(req, res, 'order'));
+app.get('/api/gateway/admin/instances', requireAdmin, (req, res) => {
+  res.json({ overrides: serviceDiscovery.getInstanceOverrides() });
+});
 
-// Gateway health and stats
-app.get('/health', (req, res) => {
-  const healthData = {
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    memory: process.memoryUsage()
+app.get('/api/gateway/admin/instances/:instance', requireAdmin, (req, res) => {
+  if (!upstreamStats.findInstance(req.params.instance)) {
+    return res.status(404).json({ error: `Unknown instance ${req.params.instance}` });
+  }
+  res.json(describeInstance(req.params.instance));
+});
+
+app.patch('/api/gateway/admin/instances/:instance', requireAdmin, express.json(), async (req, res) => {
+  const key = req.params.instance;
+  const found = upstreamStats.findInstance(key);
+  if (!found) {
+    return res.status(404).json({ error: `Unknown instance ${key}` });
+  }
+  
+  const errors = validateInstanceOverride(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid instance override', details: errors });
+  }
+  
+  const { state, weight, reason } = req.body;
+  const override = serviceDiscovery.setInstanceOverride(key, { state, weight, reason });
+  await refreshUpstreams([found.service]);
+  
+  logger.info('Instance override changed by admin', { service: found.service, instance: key, ...override, requestId: req.requestId });
+  dashboardEvents.publish('instance', { service: found.service, instance: key, ...override });
+  scheduleStatsPush();
+  res.json(describeInstance(key));
+});
+
+// Runs a health check now instead of waiting for the next interval
+app.post('/api/gateway/admin/instances/:instance/recheck', requireAdmin, async (req, res) => {
+  const found = upstreamStats.findInstance(req.params.instance);
+  if (!found) {
+    return res.status(404).json({ error: `Unknown instance ${req.params.instance}` });
+  }
+  
+  await healthChecker.recheck(found.service, found.instance);
+  scheduleStatsPush();
+  res.json(describeInstance(req.params.instance));
+});
+
+// API keys: the plain-text key is only in the create and rotate responses
+function apiKeyAdminHandler(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error('API key admin request failed', { error: error.message, requestId: req.requestId });
+      res.status(500).json({ error: 'Internal server error', requestId: req.requestId });
+    }
   };
+}
+
+app.get('/api/gateway/admin/api-keys', requireAdmin, apiKeyAdminHandler(async (req, res) => {
+  res.json({ keys: await apiKeys.list() });
+}));
+
+app.post('/api/gateway/admin/api-keys', requireAdmin, express.json(), apiKeyAdminHandler(async (req, res) => {
+  const { value, errors } = validateApiKeyRequest(req.body || {});
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid API key request', details: errors });
+  }
+
+  const created = await apiKeys.create(value);
+  logger.info('API key created by admin', { id: created.apiKey.id, name: value.name, requestId: req.requestId });
+  res.status(201).json(created);
+}));
+
+app.get('/api/gateway/admin/api-keys/:id', requireAdmin, apiKeyAdminHandler(async (req, res) => {
+  const apiKey = await apiKeys.get(req.params.id);
+  if (!apiKey) {
+    return res.status(404).json({ error: `Unknown API key ${req.params.id}` });
+  }
+  res.json({ ...apiKey, usage: await apiKeys.usage(apiKey.id) });
+}));
+
+// The old key keeps working for gracePeriodMs (default 0, at most 7 days)
+app.post('/api/gateway/admin/api-keys/:id/rotate', requireAdmin, express.json(), apiKeyAdminHandler(async (req, res) => {
+  const { gracePeriodMs = 0 } = req.body || {};
+  if (!Number.isInteger(gracePeriodMs) || gracePeriodMs < 0) {
+    return res.status(400).json({ error: 'gracePeriodMs must be a non-negative integer' });
+  }
+
+  const rotated = await apiKeys.rotate(req.params.id, gracePeriodMs);
+  if (!rotated) {
+    return res.status(404).json({ error: `No active API key ${req.params.id}` });
+  }
+  logger.info('API key rotated by admin', { id: req.params.id, gracePeriodMs, requestId: req.requestId });
+  res.json(rotated);
+}));
+
+app.post('/api/gateway/admin/api-keys/:id/revoke', requireAdmin, apiKeyAdminHandler(async (req, res) => {
+  const apiKey = await apiKeys.revoke(req.params.id);
+  if (!apiKey) {
+    return res.status(404).json({ error: `Unknown API key ${req.params.id}` });
+  }
+  logger.info('API key revoked by admin', { id: apiKey.id, requestId: req.requestId });
+  res.json(apiKey);
+}));
+
+// Log levels, request sampling and body logging; every process watches the
+// settings file, so a change here reaches all services within seconds
+app.get('/api/gateway/admin/logging', requireAdmin, (req, res) => {
+  res.json(getLoggingSettings());
+});
+
+app.patch('/api/gateway/admin/logging', requireAdmin, express.json(), (req, res) => {
+  const result = updateLoggingSettings(req.body || {});
+  if (result.errors) {
+    return res.status(400).json({ error: 'Invalid logging settings', details: result.errors });
+  }
   
-  logger.debug('Health check requested', healthData);
-  res.json({ status: 'healthy', timestamp: new Date().toISOString() });
+  logger.info('Logging settings updated', { settings: result.settings, requestId: req.requestId });
+  res.json(result.settings);
 });
 
-app.get('/api/gateway/stats', (req, res) => {
-  const discoveredServices = {};
-  
-  // Get stats from service discovery
-  Promise.all([
-    serviceDiscovery.discoverServices('user'),
-    serviceDiscovery.discoverServices('product'),
-    serviceDiscovery.discoverServices('order')
-  ]).then(([userServices, productServices, orderServices]) => {
-    discoveredServices.user = userServices.map(s => ({
-      url: `http://${s.address}:${s.port}`,
-      healthy: s.healthy,
-      requests: requestCounts.get(`${s.address}:${s.port}`) || 0
-    }));
-    
-    discoveredServices.product = productServices.map(s => ({
-      url: `http://${s.address}:${s.port}`,
-      healthy: s.healthy,
-      requests: requestCounts.get(`${s.address}:${s.port}`) || 0
-    }));
-    
-    discoveredServices.order = orderServices.map(s => ({
-      url: `http://${s.address}:${s.port}`,
-      healthy: s.healthy,
-      requests: requestCounts.get(`${s.address}:${s.port}`) || 0
-    }));
+// Log search over the files every process writes through shared/logger.js;
+// the entries carry request details, so it takes the admin token too
+const logStore = new LogStore(logsDir);
+const logStreams = new Set();
+
+app.get('/api/gateway/logs', requireAdmin, async (req, res) => {
+  const { filters, error } = parseLogFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    res.json(await logStore.query(filters));
+  } catch (queryError) {
+    logger.error('Log query failed', { error: queryError.message, requestId: req.requestId });
+    res.status(500).json({ error: 'Failed to query logs' });
+  }
+});
+
+// Live tail as Server-Sent Events, with the same filters minus pagination
+app.get('/api/gateway/logs/stream', requireAdmin, (req, res) => {
+  const { filters, error } = parseLogFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
   });
+  res.write('retry: 3000\n\n');
   
-  const stats = {
-    services: Object.keys(discoveredServices).length > 0 ? discoveredServices : serviceRegistry,
-    currentIndex,
+  const stopTail = logStore.tail(filters, (entry) => {
+    res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`);
+  });
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  
+  logStreams.add(res);
+  res.on('close', () => {
+    stopTail();
+    clearInterval(heartbeat);
+    logStreams.delete(res);
+  });
+});
+
+// Served from memory: instance lists come from the last discovery refresh,
+// counters and latencies from the proxy itself
+function collectStats() {
+  const config = configManager.current;
+  const upstreams = upstreamStats.snapshot(instance => ({
+    healthy: healthChecker.isAvailable(instance),
+    health: healthChecker.getStatus(instance),
+    breaker: circuitBreakers.getState(instanceKey(instance)),
+    admin: serviceDiscovery.getInstanceOverride(instanceKey(instance))
+  }));
+  
+  return {
+    services: upstreams.services,
+    rollups: upstreams.rollups,
+    statsWindowMs: upstreams.windowMs,
+    config: {
+      version: config.version,
+      loadedAt: config.loadedAt,
+      filePath: config.filePath
+    },
+    routes: config.routeTable.describe(),
+    loadBalancing: loadBalancer.snapshot(),
+    circuitBreakers: circuitBreakers.snapshot(),
+    health: healthChecker.snapshot(),
+    retryBudget: retryBudget.snapshot(),
     timestamp: new Date().toISOString(),
-    totalRequests: Array.from(requestCounts.values()).reduce((sum, count) => sum + count, 0),
+    totalRequests: upstreams.totalRequests,
     serviceDiscovery: serviceDiscovery.useConsul ? 'consul' : 'fallback',
     messageQueue: messageQueue.useRedis ? 'redis' : 'fallback'
   };
-  
-  res.json(stats);
+}
+
+app.get('/api/gateway/stats', (req, res) => {
+  res.json(collectStats());
+});
+
+// Request rate, error rate and latency over time per service and instance;
+// ?resolution=1s|1m&service=user&from=...&to=...
+app.get('/api/gateway/stats/history', (req, res) => {
+  const { query, error } = statsHistory.parseQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(statsHistory.query(query));
+});
+
+// Dashboard stream: a full stats snapshot on connect, then the top-level
+// sections that changed since the last push, along with health, breaker
+// and registration events as they happen
+const STATS_PUSH_INTERVAL_MS = parseInt(process.env.STATS_PUSH_INTERVAL_MS) || 2000;
+let lastPushedStats = {};
+let statsPushTimer = null;
+
+function pushStatsDelta() {
+  if (dashboardEvents.size === 0) {
+    return;
+  }
+
+  const stats = collectStats();
+  const serialized = Object.fromEntries(
+    Object.entries(stats).map(([key, value]) => [key, JSON.stringify(value)])
+  );
+  const changed = Object.keys(stats).filter(key => key !== 'timestamp' && serialized[key] !== lastPushedStats[key]);
+  lastPushedStats = serialized;
+
+  if (changed.length > 0) {
+    const delta = Object.fromEntries(changed.map(key => [key, stats[key]]));
+    dashboardEvents.publish('stats-delta', { ...delta, timestamp: stats.timestamp }, { replay: false });
+  }
+}
+
+// Coalesces bursts of events into one push
+function scheduleStatsPush() {
+  if (!statsPushTimer) {
+    statsPushTimer = setTimeout(() => {
+      statsPushTimer = null;
+      pushStatsDelta();
+    }, 250);
+  }
+}
+
+const statsPushInterval = setInterval(pushStatsDelta, STATS_PUSH_INTERVAL_MS);
+statsPushInterval.unref();
+
+app.get('/api/gateway/events', (req, res) => {
+  dashboardEvents.subscribe(req, res, (send) => send('stats', collectStats()));
 });
 
 // Register gateway with service discovery
@@ -241,7 +901,6 @@ async function registerGateway() {
       `gateway-${PORT}`,
       PORT,
       {
-        http: `http://localhost:${PORT}/health`,
         interval: '10s'
       }
     );
@@ -252,31 +911,51 @@ async function registerGateway() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, shutting down gracefully');
-  
-  try {
-    await serviceDiscovery.deregisterService(`gateway-${PORT}`);
-    await messageQueue.close();
-    process.exit(0);
-  } catch (error) {
-    logger.error('Error during shutdown', { error: error.message });
-    process.exit(1);
-  }
+// Reload the config and the rate limit policy on SIGHUP
+process.on('SIGHUP', () => {
+  configManager.reload('SIGHUP');
+  rateLimiter.policies.reload('SIGHUP');
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info('API Gateway started', {
     port: PORT,
     statsUrl: `http://localhost:${PORT}/api/gateway/stats`,
-    healthUrl: `http://localhost:${PORT}/health`
+    healthUrl: `http://localhost:${PORT}/health/ready`
   });
+  health.setReady(true);
   
   // Register with service discovery
   setTimeout(registerGateway, 2000);
   
   // Start service discovery health checks
   serviceDiscovery.startHealthChecks();
-});
\ No newline at end of file
+  
+  configManager.watch();
+});
+
+registerGracefulShutdown(server, {
+  logger,
+  health,
+  onDrain: [
+    () => logStreams.forEach(stream => stream.end()),
+    () => dashboardEvents.closeAll()
+  ],
+  deregister: () => serviceDiscovery.deregisterService(`gateway-${PORT}`),
+  steps: [
+    {
+      name: 'stop health checks and config watcher',
+      run: () => {
+        healthChecker.stop();
+        configManager.close();
+        registry.stop();
+        clearInterval(statsPushInterval);
+      }
+    },
+    { name: 'close API key store', run: () => apiKeys.close() },
+    { name: 'flush message queue', run: () => messageQueue.flush() },
+    { name: 'close message queue', run: () => messageQueue.close() },
+    { name: 'flush traces', run: () => tracing.flush() }
+  ]
+});
@@ -0,0 +1,198 @@
+// Rolling request history per service and per instance, kept at several
+// resolutions: fine-grained for the last minutes, coarse for the last day
+export const defaultTiers = [
+  { name: '1s', resolutionMs: 1000, retentionMs: 10 * 60 * 1000 },
+  { name: '1m', resolutionMs: 60 * 1000, retentionMs: 24 * 60 * 60 * 1000 }
+];
+
+// Upper bounds (ms) of the latency histogram kept per bucket; percentiles
+// are read off it, so they are approximate
+const LATENCY_BOUNDS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// Points returned by one query, whatever the range
+const MAX_POINTS = 1440;
+
+function createCounts() {
+  return {
+    requests: 0,
+    errors: 0,
+    latencySum: 0,
+    latencyMax: 0,
+    histogram: new Array(LATENCY_BOUNDS_MS.length + 1).fill(0)
+  };
+}
+
+function addSample(counts, latencyMs, failed) {
+  counts.requests++;
+  if (failed) {
+    counts.errors++;
+  }
+  counts.latencySum += latencyMs;
+  counts.latencyMax = Math.max(counts.latencyMax, latencyMs);
+  const index = LATENCY_BOUNDS_MS.findIndex(bound => latencyMs <= bound);
+  counts.histogram[index === -1 ? LATENCY_BOUNDS_MS.length : index]++;
+}
+
+// Interpolates linearly inside the histogram bucket the rank falls into
+function histogramPercentile(counts, p) {
+  if (counts.requests === 0) {
+    return null;
+  }
+  const rank = Math.ceil(p / 100 * counts.requests);
+  let seen = 0;
+  for (let i = 0; i < counts.histogram.length; i++) {
+    const inBucket = counts.histogram[i];
+    if (seen + inBucket >= rank) {
+      const lower = i === 0 ? 0 : LATENCY_BOUNDS_MS[i - 1];
+      // The overflow bucket has no upper bound, the slowest sample caps it
+      const upper = Math.min(i < LATENCY_BOUNDS_MS.length ? LATENCY_BOUNDS_MS[i] : Infinity, counts.latencyMax);
+      return Math.round(lower + (upper - lower) * (rank - seen) / inBucket);
+    }
+    seen += inBucket;
+  }
+  return counts.latencyMax;
+}
+
+function toPoint(time, counts, resolutionMs) {
+  if (!counts) {
+    return { time, requests: 0, rate: 0, errors: 0, errorRate: 0, latency: null };
+  }
+  return {
+    time,
+    requests: counts.requests,
+    rate: counts.requests / (resolutionMs / 1000),
+    errors: counts.errors,
+    errorRate: counts.requests > 0 ? counts.errors / counts.requests : 0,
+    latency: counts.requests > 0
+      ? {
+        avg: Math.round(counts.latencySum / counts.requests),
+        p50: histogramPercentile(counts, 50),
+        p95: histogramPercentile(counts, 95),
+        max: counts.latencyMax
+      }
+      : null
+  };
+}
+
+function parseTime(value, name) {
+  if (value === undefined) {
+    return { value: null };
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    return { error: `${name} must be an ISO date or epoch milliseconds` };
+  }
+  return { value: time };
+}
+
+class StatsHistory {
+  constructor(tiers = defaultTiers) {
+    // Each tier keeps buckets by start time; a bucket maps series keys to counts
+    this.tiers = tiers.map(tier => ({ ...tier, buckets: new Map() }));
+  }
+
+  getTier(name) {
+    return this.tiers.find(tier => tier.name === name) || null;
+  }
+
+  // Records one upstream attempt in every tier
+  record(serviceName, instance, latencyMs, failed, now = Date.now()) {
+    for (const tier of this.tiers) {
+      const start = now - (now % tier.resolutionMs);
+      let bucket = tier.buckets.get(start);
+      if (!bucket) {
+        bucket = new Map();
+        tier.buckets.set(start, bucket);
+        this.prune(tier, now);
+      }
+
+      for (const key of [serviceName, `${serviceName}/${instance}`]) {
+        if (!bucket.has(key)) {
+          bucket.set(key, createCounts());
+        }
+        addSample(bucket.get(key), latencyMs, failed);
+      }
+    }
+  }
+
+  prune(tier, now) {
+    const cutoff = now - tier.retentionMs;
+    // Map iteration follows insertion order, which is oldest first
+    for (const start of tier.buckets.keys()) {
+      if (start >= cutoff) {
+        break;
+      }
+      tier.buckets.delete(start);
+    }
+  }
+
+  // Validates a history request; returns { query } or { error }
+  parseQuery(params, now = Date.now()) {
+    const tier = this.getTier(params.resolution || this.tiers[0].name);
+    if (!tier) {
+      return { error: `resolution must be one of ${this.tiers.map(t => t.name).join(', ')}` };
+    }
+
+    const from = parseTime(params.from, 'from');
+    const to = parseTime(params.to, 'to');
+    if (from.error || to.error) {
+      return { error: from.error || to.error };
+    }
+
+    const end = to.value ?? now;
+    const start = Math.max(from.value ?? end - tier.retentionMs, end - (MAX_POINTS - 1) * tier.resolutionMs);
+    if (start > end) {
+      return { error: 'from must be before to' };
+    }
+
+    return {
+      query: {
+        tier,
+        from: start - (start % tier.resolutionMs),
+        to: end - (end % tier.resolutionMs),
+        service: params.service || null
+      }
+    };
+  }
+
+  // One point per bucket in the range, zero-filled, per service and per instance
+  query({ tier, from, to, service }) {
+    const series = new Set();
+    for (const [start, bucket] of tier.buckets.entries()) {
+      if (start < from || start > to) {
+        continue;
+      }
+      for (const key of bucket.keys()) {
+        const [serviceName] = key.split('/');
+        if (!service || serviceName === service) {
+          series.add(key);
+        }
+      }
+    }
+
+    const times = [];
+    for (let time = from; time <= to; time += tier.resolutionMs) {
+      times.push(time);
+    }
+    const pointsFor = key => times.map(time => toPoint(time, tier.buckets.get(time)?.get(key), tier.resolutionMs));
+
+    const services = {};
+    for (const key of series) {
+      const [serviceName, instance] = key.split('/');
+      services[serviceName] = services[serviceName] || { points: pointsFor(serviceName), instances: {} };
+      if (instance) {
+        services[serviceName].instances[instance] = pointsFor(key);
+      }
+    }
+
+    return {
+      resolution: tier.name,
+      resolutionMs: tier.resolutionMs,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      services
+    };
+  }
+}
+
+export default StatsHistory;
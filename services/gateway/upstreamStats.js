@@ -0,0 +1,187 @@
+import { instanceKey, instanceWeight } from './loadBalancer.js';
+
+// Latency percentiles and error rates cover this much recent traffic
+const DEFAULT_WINDOW_MS = 60000;
+// Samples kept per instance within the window
+const MAX_SAMPLES = 1024;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const index = Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+function summarize(samples) {
+  const latencies = samples.map(sample => sample.latencyMs).sort((a, b) => a - b);
+  const errors = samples.filter(sample => sample.failed).length;
+  return {
+    latency: {
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95)
+    },
+    errorRate: samples.length > 0 ? errors / samples.length : 0,
+    sampleCount: samples.length
+  };
+}
+
+// Live per-instance view of every upstream, kept in memory so stats never
+// wait on discovery. Instances come and go with discovery refreshes;
+// counters and latency samples are fed by the proxy, and copied into the
+// optional history for charts over time.
+class UpstreamStats {
+  constructor({ windowMs = DEFAULT_WINDOW_MS, history = null } = {}) {
+    this.windowMs = windowMs;
+    this.history = history;
+    // service name -> Map(instance key -> entry)
+    this.services = new Map();
+    this.totalRequests = 0;
+  }
+
+  createEntry(serviceName, instance) {
+    return {
+      service: serviceName,
+      key: instanceKey(instance),
+      instance,
+      requests: 0,
+      errors: 0,
+      inFlight: 0,
+      lastSelectedAt: null,
+      samples: []
+    };
+  }
+
+  getEntry(serviceName, instance) {
+    if (!this.services.has(serviceName)) {
+      this.services.set(serviceName, new Map());
+    }
+    const entries = this.services.get(serviceName);
+    const key = instanceKey(instance);
+    if (!entries.has(key)) {
+      entries.set(key, this.createEntry(serviceName, instance));
+    }
+    return entries.get(key);
+  }
+
+  // Replaces the instance list of a service after a discovery refresh;
+  // instances still listed keep their counters
+  refresh(serviceName, instances, source) {
+    const previous = this.services.get(serviceName) || new Map();
+    const entries = new Map();
+
+    for (const instance of instances) {
+      const key = instanceKey(instance);
+      const entry = previous.get(key) || this.createEntry(serviceName, instance);
+      entry.instance = instance;
+      entry.source = source;
+      entries.set(key, entry);
+    }
+
+    this.services.set(serviceName, entries);
+  }
+
+  // Drops services that are no longer configured
+  retain(serviceNames) {
+    const active = new Set(serviceNames);
+    for (const serviceName of this.services.keys()) {
+      if (!active.has(serviceName)) {
+        this.services.delete(serviceName);
+      }
+    }
+  }
+
+  // The service, current instance record and in-flight count for an "address:port" key
+  findInstance(key) {
+    for (const [serviceName, entries] of this.services.entries()) {
+      const entry = entries.get(key);
+      if (entry) {
+        return { service: serviceName, instance: entry.instance, inFlight: entry.inFlight };
+      }
+    }
+    return null;
+  }
+
+  recordSelection(serviceName, instance) {
+    const entry = this.getEntry(serviceName, instance);
+    entry.requests++;
+    entry.lastSelectedAt = Date.now();
+    this.totalRequests++;
+    return entry.requests;
+  }
+
+  // Marks an attempt as in flight; the returned callback records its outcome
+  track(serviceName, instance) {
+    const entry = this.getEntry(serviceName, instance);
+    const startTime = Date.now();
+    entry.inFlight++;
+
+    return (failed) => {
+      entry.inFlight = Math.max(0, entry.inFlight - 1);
+      if (failed) {
+        entry.errors++;
+      }
+      const latencyMs = Date.now() - startTime;
+      entry.samples.push({ time: Date.now(), latencyMs, failed });
+      this.prune(entry);
+      this.history?.record(serviceName, entry.key, latencyMs, failed);
+    };
+  }
+
+  prune(entry) {
+    const cutoff = Date.now() - this.windowMs;
+    let stale = 0;
+    while (stale < entry.samples.length && entry.samples[stale].time < cutoff) {
+      stale++;
+    }
+    entry.samples.splice(0, Math.max(stale, entry.samples.length - MAX_SAMPLES));
+  }
+
+  // describe(instance) adds live state from elsewhere, e.g. health and breaker state
+  snapshot(describe = () => ({})) {
+    const services = {};
+    const rollups = {};
+
+    for (const [serviceName, entries] of this.services.entries()) {
+      const allSamples = [];
+
+      services[serviceName] = Array.from(entries.values()).map((entry) => {
+        this.prune(entry);
+        allSamples.push(...entry.samples);
+        return {
+          url: `http://${entry.instance.address}:${entry.instance.port}`,
+          instance: entry.key,
+          source: entry.source,
+          weight: instanceWeight(entry.instance),
+          version: entry.instance.version || null,
+          zone: entry.instance.zone || null,
+          tags: entry.instance.tags || [],
+          requests: entry.requests,
+          errors: entry.errors,
+          inFlight: entry.inFlight,
+          lastSelectedAt: entry.lastSelectedAt ? new Date(entry.lastSelectedAt).toISOString() : null,
+          ...summarize(entry.samples),
+          ...describe(entry.instance)
+        };
+      });
+
+      const instances = services[serviceName];
+      rollups[serviceName] = {
+        instances: instances.length,
+        healthy: instances.filter(instance => instance.healthy).length,
+        requests: instances.reduce((sum, instance) => sum + instance.requests, 0),
+        inFlight: instances.reduce((sum, instance) => sum + instance.inFlight, 0),
+        ...summarize(allSamples)
+      };
+    }
+
+    return {
+      services,
+      rollups,
+      totalRequests: this.totalRequests,
+      windowMs: this.windowMs
+    };
+  }
+}
+
+export default UpstreamStats;
@@ -1,11 +1,19 @@
 import express from 'express';
 import cors from 'cors';
+import { createHealthEndpoints } from '../../shared/health.js';
+import { registerGracefulShutdown } from '../../shared/shutdown.js';
+import metrics from '../../shared/metrics.js';
+import tracing from '../../shared/tracing.js';
+import { readIdentity } from '../../shared/identity.js';
+import serviceDiscovery from '../../shared/serviceDiscovery.js';
 
 const app = express();
 const PORT = 3007;
 const INSTANCE_ID = `order-service-${PORT}`;
 
 app.use(cors());
+app.use(metrics.createMiddleware('order-service'));
+app.get('/metrics', metrics.handler);
 app.use(express.json());
 
 // In-memory order store (same data for consistency)
@@ -34,6 +42,9 @@ let orders = [
 
 let requestCount = 0;
 
+// Liveness and readiness
+const health = createHealthEndpoints(INSTANCE_ID);
+
 // Middleware to log requests
 app.use((req, res, next) => {
   requestCount++;
@@ -41,15 +52,10 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: INSTANCE_ID,
-    timestamp: new Date().toISOString(),
-    requests: requestCount
-  });
-});
+app.use(health.router);
+app.use(tracing.createMiddleware('order-service'));
+// Caller identity verified by the gateway, as req.user
+app.use(readIdentity);
 
 // Get all orders
 app.get('/api/orders', (req, res) => {
@@ -73,6 +79,19 @@ app.get('/api/orders/:id', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
+  health.setReady(true);
   console.log(`🛒 ${INSTANCE_ID} running on port ${PORT}`);
-});
\ No newline at end of file
+  
+  // Register with the gateway's registry (or Consul) so the gateway discovers this instance
+  serviceDiscovery.registerService('order', INSTANCE_ID, PORT, {}, {
+    weight: process.env.SERVICE_WEIGHT || 1
+  });
+});
+
+registerGracefulShutdown(server, {
+  serviceName: INSTANCE_ID,
+  health,
+  deregister: () => serviceDiscovery.deregisterService(INSTANCE_ID),
+  steps: [{ name: 'flush traces', run: () => tracing.flush() }]
+});
@@ -1,11 +1,20 @@
 import express from 'express';
 import cors from 'cors';
+import idempotency from '../../shared/idempotency.js';
+import { createHealthEndpoints } from '../../shared/health.js';
+import { registerGracefulShutdown } from '../../shared/shutdown.js';
+import metrics from '../../shared/metrics.js';
+import tracing from '../../shared/tracing.js';
+import { readIdentity } from '../../shared/identity.js';
+import serviceDiscovery from '../../shared/serviceDiscovery.js';
 
 const app = express();
 const PORT = 3006;
 const INSTANCE_ID = `order-service-${PORT}`;
 
 app.use(cors());
+app.use(metrics.createMiddleware('order-service'));
+app.get('/metrics', metrics.handler);
 app.use(express.json());
 
 // In-memory order store
@@ -32,8 +41,14 @@ let orders = [
   }
 ];
 
+let nextOrderId = Math.max(...orders.map(order => order.id)) + 1;
 let requestCount = 0;
 
+// Liveness and readiness
+const health = createHealthEndpoints(INSTANCE_ID, {
+  idempotencyStore: { check: () => idempotency.ping() }
+});
+
 // Middleware to log requests
 app.use((req, res, next) => {
   requestCount++;
@@ -41,15 +56,10 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: INSTANCE_ID,
-    timestamp: new Date().toISOString(),
-    requests: requestCount
-  });
-});
+app.use(health.router);
+app.use(tracing.createMiddleware('order-service'));
+// Caller identity verified by the gateway, as req.user
+app.use(readIdentity);
 
 // Get all orders
 app.get('/api/orders', (req, res) => {
@@ -74,7 +84,7 @@ app.get('/api/orders/:id', (req, res) => {
 });
 
 // Create order
-app.post('/api/orders', (req, res) => {
+app.post('/api/orders', idempotency.createMiddleware('order'), (req, res) => {
   const { userId, items } = req.body;
   
   if (!userId || !items || !Array.isArray(items)) {
@@ -84,7 +94,7 @@ app.post('/api/orders', (req, res) => {
   const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
   
   const newOrder = {
-    id: orders.length + 1,
+    id: nextOrderId++,
     userId: parseInt(userId),
     items,
     total: parseFloat(total.toFixed(2)),
@@ -101,6 +111,29 @@ app.post('/api/orders', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🛒 ${INSTANCE_ID} running on port ${PORT}`);
-});
\ No newline at end of file
+idempotency.init()
+  .then(() => {
+    const server = app.listen(PORT, () => {
+      health.setReady(true);
+      console.log(`🛒 ${INSTANCE_ID} running on port ${PORT}`);
+      
+      // Register with the gateway's registry (or Consul) so the gateway discovers this instance
+      serviceDiscovery.registerService('order', INSTANCE_ID, PORT, {}, {
+        weight: process.env.SERVICE_WEIGHT || 1
+      });
+    });
+
+    registerGracefulShutdown(server, {
+      serviceName: INSTANCE_ID,
+      health,
+      deregister: () => serviceDiscovery.deregisterService(INSTANCE_ID),
+      steps: [
+        { name: 'close idempotency store', run: () => idempotency.close() },
+        { name: 'flush traces', run: () => tracing.flush() }
+      ]
+    });
+  })
+  .catch((error) => {
+    console.error(`[${INSTANCE_ID}] Failed to initialize idempotency store: ${error.message}`);
+    process.exit(1);
+  });
\ No newline at end of file
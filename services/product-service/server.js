@@ -1,11 +1,19 @@
 import express from 'express';
 import cors from 'cors';
+import { createHealthEndpoints } from '../../shared/health.js';
+import { registerGracefulShutdown } from '../../shared/shutdown.js';
+import metrics from '../../shared/metrics.js';
+import tracing from '../../shared/tracing.js';
+import { readIdentity } from '../../shared/identity.js';
+import serviceDiscovery from '../../shared/serviceDiscovery.js';
 
 const app = express();
 const PORT = 3004;
 const INSTANCE_ID = `product-service-${PORT}`;
 
 app.use(cors());
+app.use(metrics.createMiddleware('product-service'));
+app.get('/metrics', metrics.handler);
 app.use(express.json());
 
 // In-memory product store
@@ -18,6 +26,9 @@ let products = [
 
 let requestCount = 0;
 
+// Liveness and readiness
+const health = createHealthEndpoints(INSTANCE_ID);
+
 // Middleware to log requests
 app.use((req, res, next) => {
   requestCount++;
@@ -25,15 +36,10 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: INSTANCE_ID,
-    timestamp: new Date().toISOString(),
-    requests: requestCount
-  });
-});
+app.use(health.router);
+app.use(tracing.createMiddleware('product-service'));
+// Caller identity verified by the gateway, as req.user
+app.use(readIdentity);
 
 // Get all products
 app.get('/api/products', (req, res) => {
@@ -82,6 +88,19 @@ app.post('/api/products', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
+  health.setReady(true);
   console.log(`📦 ${INSTANCE_ID} running on port ${PORT}`);
-});
\ No newline at end of file
+  
+  // Register with the gateway's registry (or Consul) so the gateway discovers this instance
+  serviceDiscovery.registerService('product', INSTANCE_ID, PORT, {}, {
+    weight: process.env.SERVICE_WEIGHT || 1
+  });
+});
+
+registerGracefulShutdown(server, {
+  serviceName: INSTANCE_ID,
+  health,
+  deregister: () => serviceDiscovery.deregisterService(INSTANCE_ID),
+  steps: [{ name: 'flush traces', run: () => tracing.flush() }]
+});
@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import express from 'express';
+import messageQueue from '../../shared/messageQueue.js';
+import { requireUser } from '../../shared/identity.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+// Long inputs make scrypt no slower, but there's no reason to accept them
+const MAX_PASSWORD_LENGTH = 128;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ACCESS_TOKEN_TTL_SEC = parseInt(process.env.ACCESS_TOKEN_TTL_SEC) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_SEC) || 30 * 24 * 60 * 60) * 1000;
+
+// Columns safe to return to clients
+export const USER_COLUMNS = 'id, name, email, roles, created_at, updated_at';
+
+// Emails are stored trimmed and lower-cased by every write path, so that
+// lookups by email find the account however it was typed
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : email;
+}
+
+// "scrypt$N$r$p$salt$hash", base64 encoded
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [algorithm, N, r, p, salt, hash] = (stored || '').split('$');
+  if (algorithm !== 'scrypt') {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH = await hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// HS256 access token the gateway verifies with the same JWT_SECRET
+function signAccessToken(user, sessionId) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const claims = {
+    sub: String(user.id),
+    roles: user.roles.split(',').filter(Boolean),
+    sid: sessionId,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SEC,
+    jti: crypto.randomUUID(),
+    ...(process.env.JWT_ISSUER && { iss: process.env.JWT_ISSUER }),
+    ...(process.env.JWT_AUDIENCE && { aud: process.env.JWT_AUDIENCE })
+  };
+  const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', process.env.JWT_SECRET).update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+function validatePassword(password, field = 'password') {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `${field} must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Registration, login, refresh-token rotation, logout and password changes.
+// Refresh tokens are "<id>.<secret>" and stored hashed. Each login starts a
+// token family; presenting a token that was already exchanged means it was
+// copied, so the whole family is revoked.
+export function createAuthRouter({ db, instanceId, logger }) {
+  const router = express.Router();
+
+  // Tokens are signed with the secret the gateway verifies them with
+  function requireSigningSecret(req, res, next) {
+    if (!process.env.JWT_SECRET) {
+      return res.status(503).json({ error: 'Token signing is not configured, set JWT_SECRET' });
+    }
+    next();
+  }
+
+  async function issueTokens(user, familyId = crypto.randomUUID()) {
+    const id = crypto.randomBytes(16).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    await db.run(
+      'INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, user.id, familyId, sha256(secret), now + REFRESH_TOKEN_TTL_MS, now]
+    );
+    return {
+      accessToken: signAccessToken(user, familyId),
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL_SEC,
+      refreshToken: `${id}.${secret}`,
+      refreshTokenExpiresAt: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString()
+    };
+  }
+
+  // The stored row for a presented refresh token, or null
+  async function findRefreshToken(presented) {
+    const [id, secret] = typeof presented === 'string' ? presented.split('.') : [];
+    if (!id || !secret) {
+      return null;
+    }
+    const row = await db.get('SELECT * FROM refresh_tokens WHERE id = ?', [id]);
+    if (!row || !crypto.timingSafeEqual(Buffer.from(row.token_hash), Buffer.from(sha256(secret)))) {
+      return null;
+    }
+    return row;
+  }
+
+  async function revokeFamily(familyId) {
+    await db.run(
+      'UPDATE refresh_tokens SET revoked_at = ? WHERE family_id = ? AND revoked_at IS NULL',
+      [Date.now(), familyId]
+    );
+  }
+
+  async function revokeUserTokens(userId) {
+    await db.run(
+      'UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+      [Date.now(), userId]
+    );
+  }
+
+  function respond(res, status, data) {
+    res.status(status).json({
+      data,
+      service: instanceId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  router.post('/register', async (req, res) => {
+    try {
+      const { name, email, password } = req.body || {};
+      const errors = [];
+      if (typeof name !== 'string' || name.trim() === '') {
+        errors.push('name is required');
+      }
+      if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+        errors.push('email must be a valid email address');
+      }
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        errors.push(passwordError);
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid registration', details: errors });
+      }
+
+      const normalizedEmail = normalizeEmail(email);
+      const existing = await db.get('SELECT id FROM users WHERE email = ?', [normalizedEmail]);
+      if (existing) {
+        return res.status(409).json({ error: 'Email already exists' });
+      }
+
+      const result = await db.run(
+        'INSERT INTO users (name, email, password_hash, password_changed_at) VALUES (?, ?, ?, ?)',
+        [name.trim(), normalizedEmail, await hashPassword(password), Date.now()]
+      );
+      const user = await db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [result.id]);
+
+      logger.info('User registered', { userId: user.id, requestId: req.requestId });
+      await messageQueue.publishEvent('user.created', {
+        userId: user.id,
+        email: user.email,
+        service: instanceId,
+        requestId: req.requestId
+      });
+
+      respond(res, 201, user);
+    } catch (error) {
+      logger.error('Failed to register user', { error: error.message, requestId: req.requestId });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.post('/login', requireSigningSecret, async (req, res) => {
+    try {
+      const { email, password } = req.body || {};
+      if (typeof email !== 'string' || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: 'email and password are required' });
+      }
+
+      const user = await db.get('SELECT * FROM users WHERE email = ?', [normalizeEmail(email)]);
+      // Users created without a password can't log in until they set one
+      const valid = await verifyPassword(password, user?.password_hash || DUMMY_PASSWORD_HASH);
+      if (!user || !user.password_hash || !valid) {
+        logger.warn('Login failed', { email, requestId: req.requestId });
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      // Expired tokens of this user are of no use any more
+      await db.run('DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at <= ?', [user.id, Date.now()]);
+      const tokens = await issueTokens(user);
+
+      logger.info('User logged in', { userId: user.id, requestId: req.requestId });
+      await messageQueue.publishEvent('user.logged_in', {
+        userId: user.id,
+        service: instanceId,
+        requestId: req.requestId
+      });
+
+      respond(res, 200, tokens);
+    } catch (error) {
+      logger.error('Failed to log in', { error: error.message, requestId: req.requestId });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Exchanges a refresh token for a new access and refresh token
+  router.post('/refresh', requireSigningSecret, async (req, res) => {
+    try {
+      const token = await findRefreshToken(req.body?.refreshToken);
+      if (!token || token.expires_at <= Date.now()) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+
+      // Claiming the token and checking it was unused is one statement, so
+      // two concurrent refreshes can't both succeed
+      const claimed = await db.run(
+        'UPDATE refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL',
+        [Date.now(), token.id]
+      );
+      if (claimed.changes === 0) {
+        if (!token.revoked_at) {
+          logger.warn('Refresh token reused, revoking the session', {
+            userId: token.user_id,
+            familyId: token.family_id,
+            requestId: req.requestId
+          });
+        }
+        await revokeFamily(token.family_id);
+        return res.status(401).json({ error: 'Refresh token is no longer valid, log in again' });
+      }
+
+      const user = await db.get('SELECT * FROM users WHERE id = ?', [token.user_id]);
+      if (!user) {
+        await revokeFamily(token.family_id);
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+
+      respond(res, 200, await issueTokens(user, token.family_id));
+    } catch (error) {
+      logger.error('Failed to refresh tokens', { error: error.message, requestId: req.requestId });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Ends the session of the given refresh token, or with allSessions every
+  // session of its user. Access tokens stay valid until they expire.
+  router.post('/logout', async (req, res) => {
+    try {
+      const { refreshToken, allSessions = false } = req.body || {};
+      const token = await findRefreshToken(refreshToken);
+      if (token) {
+        await (allSessions ? revokeUserTokens(token.user_id) : revokeFamily(token.family_id));
+        logger.info('User logged out', { userId: token.user_id, allSessions, requestId: req.requestId });
+      }
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to log out', { error: error.message, requestId: req.requestId });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Needs the identity the gateway verified; logs out every session
+  router.post('/password', requireUser(), async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body || {};
+      const passwordError = validatePassword(newPassword, 'newPassword');
+      if (typeof currentPassword !== 'string' || passwordError) {
+        return res.status(400).json({
+          error: 'Invalid password change',
+          details: [typeof currentPassword !== 'string' && 'currentPassword is required', passwordError].filter(Boolean)
+        });
+      }
+
+      const user = await db.get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+      if (!user || !user.password_hash || !await verifyPassword(currentPassword, user.password_hash)) {
+        logger.warn('Password change rejected', { userId: req.user.id, requestId: req.requestId });
+        return res.status(403).json({ error: 'Current password is incorrect' });
+      }
+
+      await db.run(
+        'UPDATE users SET password_hash = ?, password_changed_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [await hashPassword(newPassword), Date.now(), user.id]
+      );
+      await revokeUserTokens(user.id);
+
+      logger.info('Password changed', { userId: user.id, requestId: req.requestId });
+      await messageQueue.publishEvent('user.password_changed', {
+        userId: user.id,
+        service: instanceId,
+        requestId: req.requestId
+      });
+
+      res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to change password', { error: error.message, requestId: req.requestId });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
@@ -1,11 +1,18 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import DatabaseManager, { schemas } from '../../shared/database.js';
+import DatabaseManager, { schemas, addedColumns } from '../../shared/database.js';
 import { createServiceLogger } from '../../shared/logger.js';
 import serviceDiscovery from '../../shared/serviceDiscovery.js';
 import messageQueue from '../../shared/messageQueue.js';
 import rateLimiter from '../../shared/rateLimiter.js';
+import idempotency from '../../shared/idempotency.js';
+import { createHealthEndpoints } from '../../shared/health.js';
+import { registerGracefulShutdown } from '../../shared/shutdown.js';
+import metrics from '../../shared/metrics.js';
+import tracing from '../../shared/tracing.js';
+import { readIdentity } from '../../shared/identity.js';
+import { createAuthRouter, normalizeEmail, USER_COLUMNS } from './auth.js';
 
 dotenv.config();
 
@@ -17,16 +24,50 @@ const logger = createServiceLogger(INSTANCE_ID);
 // Initialize database
 const db = new DatabaseManager('users');
 
+// Requests come through the gateway, which adds the client's address to
+// X-Forwarded-For; only trust that from the gateway so req.ip, which the rate
+// limit policy keys on, is the client rather than the gateway
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+
 app.use(cors());
+app.use(metrics.createMiddleware('user-service'));
+app.get('/metrics', metrics.handler);
 app.use(express.json());
+
+// Liveness and readiness, ready once the database is seeded and the instance
+// registered. Mounted ahead of request logging and rate limiting.
+const health = createHealthEndpoints(INSTANCE_ID, {
+  database: { check: () => db.ping() },
+  idempotencyStore: { check: () => idempotency.ping() },
+  serviceDiscovery: {
+    check: async () => {
+      if (!await serviceDiscovery.isRegistered(INSTANCE_ID)) {
+        throw new Error('instance is not registered');
+      }
+      return { mode: serviceDiscovery.useConsul ? 'consul' : 'fallback' };
+    }
+  },
+  messageQueue: { check: () => messageQueue.ping(), critical: false }
+});
+app.use(health.router);
+
 app.use(logger.requestMiddleware);
+app.use(tracing.createMiddleware('user-service'));
+// Caller identity verified by the gateway, as req.user
+app.use(readIdentity);
 app.use(rateLimiter.createServiceLimiter('user-service'));
 
 // Initialize database and seed data
 async function initializeDatabase() {
   try {
     await db.connect();
-    await db.run(schemas.users);
+    // Both user-service instances write to this database
+    await db.run('PRAGMA busy_timeout = 5000');
+    await db.exec(schemas.users);
+    await db.addMissingColumns('users', addedColumns.users);
+    // Emails stored before they were normalized; duplicates that differ only
+    // in case are left alone
+    await db.run('UPDATE OR IGNORE users SET email = lower(trim(email)) WHERE email != lower(trim(email))');
     
     // Seed initial data
     const existingUsers = await db.all('SELECT COUNT(*) as count FROM users');
@@ -39,7 +80,7 @@ async function initializeDatabase() {
       
       for (const user of seedUsers) {
         await db.run(
-          'INSERT INTO users (name, email) VALUES (?, ?)',
+          'INSERT OR IGNORE INTO users (name, email) VALUES (?, ?)',
           [user.name, user.email]
         );
       }
@@ -52,21 +93,13 @@ async function initializeDatabase() {
   }
 }
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: INSTANCE_ID,
-    timestamp: new Date().toISOString(),
-    database: 'connected',
-    uptime: process.uptime()
-  });
-});
+// Registration, login, token refresh and password changes
+app.use('/api/auth', createAuthRouter({ db, instanceId: INSTANCE_ID, logger }));
 
 // Get all users
 app.get('/api/users', async (req, res) => {
   try {
-    const users = await db.all('SELECT * FROM users ORDER BY created_at DESC');
+    const users = await db.all(`SELECT ${USER_COLUMNS} FROM users ORDER BY created_at DESC`);
     
     logger.info('Users retrieved', { count: users.length, requestId: req.requestId });
     
@@ -91,7 +124,7 @@ app.get('/api/users', async (req, res) => {
 // Get user by ID
 app.get('/api/users/:id', async (req, res) => {
   try {
-    const user = await db.get('SELECT * FROM users WHERE id = ?', [req.params.id]);
+    const user = await db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [req.params.id]);
     
     if (!user) {
       logger.warn('User not found', { userId: req.params.id, requestId: req.requestId });
@@ -116,9 +149,10 @@ app.get('/api/users/:id', async (req, res) => {
 });
 
 // Create user
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', idempotency.createMiddleware('user'), async (req, res) => {
   try {
-    const { name, email } = req.body;
+    const { name } = req.body;
+    const email = normalizeEmail(req.body.email);
     
     if (!name || !email) {
       return res.status(400).json({ error: 'Name and email are required' });
@@ -135,7 +169,7 @@ app.post('/api/users', async (req, res) => {
       [name, email]
     );
     
-    const newUser = await db.get('SELECT * FROM users WHERE id = ?', [result.id]);
+    const newUser = await db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [result.id]);
     
     logger.info('User created', { userId: newUser.id, email, requestId: req.requestId });
     
@@ -161,7 +195,8 @@ app.post('/api/users', async (req, res) => {
 // Update user
 app.put('/api/users/:id', async (req, res) => {
   try {
-    const { name, email } = req.body;
+    const { name } = req.body;
+    const email = normalizeEmail(req.body.email);
     const userId = req.params.id;
     
     // Check if user exists
@@ -170,13 +205,20 @@ app.put('/api/users/:id', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    if (email) {
+      const emailOwner = await db.get('SELECT id FROM users WHERE email = ? AND id != ?', [email, userId]);
+      if (emailOwner) {
+        return res.status(409).json({ error: 'Email already exists' });
+      }
+    }
+    
     // Update user
     await db.run(
       'UPDATE users SET name = COALESCE(?, name), email = COALESCE(?, email), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       [name, email, userId]
     );
     
-    const updatedUser = await db.get('SELECT * FROM users WHERE id = ?', [userId]);
+    const updatedUser = await db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [userId]);
     
     logger.info('User updated', { userId, requestId: req.requestId });
     
@@ -244,6 +286,7 @@ app.delete('/api/users/:id', async (req, res) => {
 async function startServer() {
   try {
     await initializeDatabase();
+    await idempotency.init();
     
     // Register with service discovery
     await serviceDiscovery.registerService(
@@ -251,19 +294,35 @@ async function startServer() {
       INSTANCE_ID,
       PORT,
       {
-        http: `http://localhost:${PORT}/health`,
         interval: '10s'
+      },
+      {
+        weight: process.env.SERVICE_WEIGHT || 1
       }
     );
     
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
+      health.setReady(true);
       logger.info('User service started', {
         port: PORT,
         instanceId: INSTANCE_ID,
         database: `users.db`,
-        healthUrl: `http://localhost:${PORT}/health`
+        healthUrl: `http://localhost:${PORT}/health/ready`
       });
     });
+
+    registerGracefulShutdown(server, {
+      logger,
+      health,
+      deregister: () => serviceDiscovery.deregisterService(INSTANCE_ID),
+      steps: [
+        { name: 'flush message queue', run: () => messageQueue.flush() },
+        { name: 'close database', run: () => db.close() },
+        { name: 'close idempotency store', run: () => idempotency.close() },
+        { name: 'close message queue', run: () => messageQueue.close() },
+        { name: 'flush traces', run: () => tracing.flush() }
+      ]
+    });
     
     // Publish service started event
     await messageQueue.publishEvent('service.started', {
@@ -278,19 +337,4 @@ async function startServer() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('Received SIGTERM, shutting down gracefully');
-  
-  try {
-    await serviceDiscovery.deregisterService(INSTANCE_ID);
-    await db.close();
-    await messageQueue.close();
-    process.exit(0);
-  } catch (error) {
-    logger.error('Error during shutdown', { error: error.message });
-    process.exit(1);
-  }
-});
-
 startServer();
\ No newline at end of file
@@ -2,6 +2,7 @@ import sqlite3 from 'sqlite3';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import tracing, { SpanKind } from './tracing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,39 +34,101 @@ class DatabaseManager {
   }
 
   async run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
-    });
+    return this.traced('run', sql, () =>
+      new Promise((resolve, reject) => {
+        this.db.run(sql, params, function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID, changes: this.changes });
+          }
+        });
+      })
+    );
+  }
+
+  // Runs one or more statements without parameters, e.g. a whole schema
+  async exec(sql) {
+    return this.traced('exec', sql, () =>
+      new Promise((resolve, reject) => {
+        this.db.exec(sql, (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      })
+    );
   }
 
   async get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+    return this.traced('get', sql, () =>
+      new Promise((resolve, reject) => {
+        this.db.get(sql, params, (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        });
+      })
+    );
   }
 
   async all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
+    return this.traced('all', sql, () =>
+      new Promise((resolve, reject) => {
+        this.db.all(sql, params, (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        });
+      })
+    );
+  }
+
+  // Statements run inside a request or queue job show up as spans in its trace
+  traced(operation, sql, execute) {
+    const statement = sql.trim().split(/\s+/)[0].toUpperCase();
+    return tracing.trace(`${statement} ${this.serviceName}`, {
+      kind: SpanKind.CLIENT,
+      childOnly: true,
+      attributes: {
+        'db.system': 'sqlite',
+        'db.name': this.serviceName,
+        'db.operation': operation,
+        'db.statement': sql.trim()
+      }
+    }, execute);
+  }
+
+  // Adds the given { column: definition } columns a table doesn't have yet
+  async addMissingColumns(table, columns) {
+    const existing = new Set((await this.all(`PRAGMA table_info(${table})`)).map(column => column.name));
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!existing.has(column)) {
+        try {
+          await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        } catch (error) {
+          // Another process sharing the database added it first
+          if (!/duplicate column/i.test(error.message)) {
+            throw error;
+          }
         }
-      });
-    });
+      }
+    }
+  }
+
+  // Cheap round trip used by readiness checks
+  async ping() {
+    if (!this.db) {
+      throw new Error('database not connected');
+    }
+    await this.get('SELECT 1');
+    return { path: this.dbPath };
   }
 
   async close() {
@@ -85,6 +148,16 @@ class DatabaseManager {
   }
 }
 
+// Columns added to tables after they first shipped, by table; CREATE TABLE IF
+// NOT EXISTS leaves existing databases without them
+export const addedColumns = {
+  users: {
+    password_hash: 'TEXT',
+    roles: "TEXT NOT NULL DEFAULT 'user'",
+    password_changed_at: 'INTEGER'
+  }
+};
+
 // Database schemas for each service
 export const schemas = {
   users: `
@@ -92,11 +165,31 @@ export const schemas = {
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       name TEXT NOT NULL,
       email TEXT UNIQUE NOT NULL,
+      password_hash TEXT,
+      roles TEXT NOT NULL DEFAULT 'user',
+      password_changed_at INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
     
     CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+    
+    -- One row per issued refresh token; a login starts a family, every
+    -- refresh adds the next token of the family and marks the old one used
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      family_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      used_at INTEGER,
+      revoked_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users (id)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
   `,
   
   products: `
@@ -134,6 +227,48 @@ export const schemas = {
     
     CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
     CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+  `,
+  
+  idempotency: `
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scope TEXT NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'in_progress',
+      status_code INTEGER,
+      response_body TEXT,
+      expires_at INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (scope, idempotency_key)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+  `,
+
+  apiKeys: `
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      key_hash TEXT NOT NULL,
+      previous_key_hash TEXT,
+      previous_key_expires_at INTEGER,
+      rate_limit INTEGER,
+      daily_quota INTEGER,
+      status TEXT NOT NULL DEFAULT 'active',
+      created_at INTEGER NOT NULL,
+      rotated_at INTEGER,
+      revoked_at INTEGER,
+      last_used_at INTEGER
+    );
+    
+    CREATE TABLE IF NOT EXISTS api_key_usage (
+      key_id TEXT NOT NULL,
+      day TEXT NOT NULL,
+      requests INTEGER NOT NULL DEFAULT 0,
+      rejected INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (key_id, day),
+      FOREIGN KEY (key_id) REFERENCES api_keys (id)
+    );
   `
 };
 
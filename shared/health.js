@@ -0,0 +1,88 @@
+import express from 'express';
+
+const CHECK_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`check timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Liveness and readiness endpoints for a service.
+//
+// `checks` maps a dependency name to { check, critical }: `check` resolves with
+// details about the dependency or throws when it is unusable. A failing
+// critical dependency makes the instance not ready (503); a failing optional
+// one only marks it degraded. The instance also stays not ready until
+// setReady(true) is called, e.g. once seeding has finished.
+export function createHealthEndpoints(serviceName, checks = {}) {
+  let ready = false;
+  const router = express.Router();
+
+  async function runChecks() {
+    const entries = await Promise.all(
+      Object.entries(checks).map(async ([name, { check, critical = true }]) => {
+        const start = Date.now();
+        try {
+          const details = await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT_MS);
+          return [name, { status: 'up', critical, latencyMs: Date.now() - start, ...details }];
+        } catch (error) {
+          return [name, { status: 'down', critical, latencyMs: Date.now() - start, error: error.message }];
+        }
+      })
+    );
+    return Object.fromEntries(entries);
+  }
+
+  async function readiness() {
+    const dependencies = await runChecks();
+    const failing = Object.values(dependencies).filter(dependency => dependency.status !== 'up');
+    const criticalFailing = failing.some(dependency => dependency.critical);
+
+    let status = 'ready';
+    if (!ready || criticalFailing) {
+      status = 'not_ready';
+    } else if (failing.length > 0) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      service: serviceName,
+      accepting: ready,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      dependencies
+    };
+  }
+
+  // The process is up and able to answer; says nothing about dependencies
+  router.get('/health/live', (req, res) => {
+    res.json({
+      status: 'alive',
+      service: serviceName,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    });
+  });
+
+  const sendReadiness = async (req, res) => {
+    const report = await readiness();
+    res.status(report.status === 'not_ready' ? 503 : 200).json(report);
+  };
+
+  router.get('/health/ready', sendReadiness);
+  // Kept for existing clients; same answer as /health/ready
+  router.get('/health', sendReadiness);
+
+  return {
+    router,
+    readiness,
+    setReady: (value) => {
+      ready = value;
+    },
+    isReady: () => ready
+  };
+}
@@ -0,0 +1,32 @@
+// Probes a health endpoint once. Resolves with { healthy, reason } and never
+// rejects, so callers can feed the result straight into their thresholds.
+export async function probeHealth(url, options = {}) {
+  const { timeoutMs = 5000, expectedStatus, expectedBody } = options;
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+
+    const statusOk = expectedStatus ? response.status === expectedStatus : response.ok;
+    if (!statusOk) {
+      // Drain the body so the connection can be reused
+      await response.text().catch(() => {});
+      return { healthy: false, reason: `health check returned ${response.status}` };
+    }
+
+    if (expectedBody) {
+      const body = await response.text();
+      if (!body.includes(expectedBody)) {
+        return { healthy: false, reason: `health check body did not contain "${expectedBody}"` };
+      }
+    } else {
+      await response.text().catch(() => {});
+    }
+
+    return { healthy: true, reason: null };
+  } catch (error) {
+    const reason = error.name === 'TimeoutError'
+      ? `health check timed out after ${timeoutMs}ms`
+      : `health check failed: ${error.cause?.code || error.message}`;
+    return { healthy: false, reason };
+  }
+}
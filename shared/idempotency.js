@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import DatabaseManager, { schemas } from './database.js';
+import { createServiceLogger } from './logger.js';
+
+const logger = createServiceLogger('idempotency');
+
+const MAX_KEY_LENGTH = 255;
+
+// Stores the first response for each Idempotency-Key so that repeated create
+// requests (client or gateway retries) replay it instead of creating a second
+// record. The database is shared by all instances on the host, so a retry
+// that lands on another instance of the same service is still deduplicated.
+class IdempotencyStore {
+  constructor() {
+    this.db = new DatabaseManager('idempotency');
+    this.ttlMs = parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+    // How long a claimed key blocks retries when its request never finishes,
+    // e.g. the process died mid-request
+    this.lockTtlMs = parseInt(process.env.IDEMPOTENCY_LOCK_TTL_MS) || 60 * 1000;
+    this.ready = null;
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.db.connect();
+        // Several service processes write to this database concurrently
+        await this.db.run('PRAGMA busy_timeout = 5000');
+        await this.db.exec(schemas.idempotency);
+
+        const purgeTimer = setInterval(() => this.purgeExpired(), 60 * 60 * 1000);
+        purgeTimer.unref();
+      })();
+    }
+    return this.ready;
+  }
+
+  async purgeExpired() {
+    try {
+      const result = await this.db.run('DELETE FROM idempotency_keys WHERE expires_at <= ?', [Date.now()]);
+      if (result.changes > 0) {
+        logger.info('Expired idempotency keys purged', { count: result.changes });
+      }
+    } catch (error) {
+      logger.error('Failed to purge idempotency keys', { error: error.message });
+    }
+  }
+
+  hashRequest(req) {
+    return crypto.createHash('sha256').update(JSON.stringify(req.body ?? null)).digest('hex');
+  }
+
+  // Claims the key for this request; returns the existing record when the key was already used
+  async begin(scope, key, requestHash) {
+    await this.init();
+
+    await this.db.run(
+      'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND expires_at <= ?',
+      [scope, key, Date.now()]
+    );
+
+    const result = await this.db.run(
+      'INSERT OR IGNORE INTO idempotency_keys (scope, idempotency_key, request_hash, expires_at) VALUES (?, ?, ?, ?)',
+      [scope, key, requestHash, Date.now() + this.lockTtlMs]
+    );
+
+    if (result.changes === 1) {
+      return null;
+    }
+
+    return this.db.get(
+      'SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+      [scope, key]
+    );
+  }
+
+  async complete(scope, key, statusCode, body) {
+    await this.db.run(
+      'UPDATE idempotency_keys SET state = ?, status_code = ?, response_body = ?, expires_at = ? WHERE scope = ? AND idempotency_key = ?',
+      ['completed', statusCode, JSON.stringify(body ?? null), Date.now() + this.ttlMs, scope, key]
+    );
+  }
+
+  // Frees the key so the client can retry after a server error
+  async release(scope, key) {
+    await this.db.run(
+      'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+      [scope, key]
+    );
+  }
+
+  // Express middleware for a create endpoint; scope namespaces keys per service
+  createMiddleware(scope) {
+    return async (req, res, next) => {
+      const key = req.headers['idempotency-key'];
+      if (!key) {
+        return next();
+      }
+
+      if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+      }
+
+      const keyScope = `${scope}:${req.method} ${req.baseUrl}${req.path}`;
+      const requestHash = this.hashRequest(req);
+
+      let existing;
+      try {
+        existing = await this.begin(keyScope, key, requestHash);
+      } catch (error) {
+        logger.error('Idempotency lookup failed', { error: error.message, requestId: req.requestId });
+        return res.status(500).json({ error: 'Internal server error' });
+      }
+
+      if (existing) {
+        if (existing.request_hash !== requestHash) {
+          logger.warn('Idempotency key reused with a different body', { key, scope: keyScope, requestId: req.requestId });
+          return res.status(409).json({ error: 'Idempotency-Key was already used with a different request body' });
+        }
+
+        if (existing.state !== 'completed') {
+          res.set('Retry-After', '1');
+          return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+        }
+
+        logger.info('Replaying idempotent response', { key, scope: keyScope, requestId: req.requestId });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status_code).json(JSON.parse(existing.response_body));
+      }
+
+      // The key is settled when the handler answers, whether or not the
+      // client is still connected: a response below 500 is stored, a server
+      // error frees the key for a retry. A handler that never answers keeps
+      // the key claimed until lockTtlMs runs out, so a client that gave up
+      // can't run the create a second time while the first is still going.
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+      const end = res.end.bind(res);
+      res.end = (...args) => {
+        res.end = end;
+        const settled = res.statusCode < 500
+          ? this.complete(keyScope, key, res.statusCode, responseBody)
+          : this.release(keyScope, key);
+        settled.catch(error => {
+          logger.error('Failed to store idempotent response', { key, error: error.message, requestId: req.requestId });
+        });
+        return end(...args);
+      };
+
+      next();
+    };
+  }
+
+  async ping() {
+    await this.init();
+    return this.db.ping();
+  }
+
+  async close() {
+    if (this.ready) {
+      await this.db.close();
+    }
+  }
+}
+
+export default new IdempotencyStore();
@@ -0,0 +1,65 @@
+// Identity of the caller, as verified by the gateway. The gateway drops any
+// X-User-* and X-API-Key* headers a client sends and sets these from the
+// token and API key it checked, so services behind it can trust them without
+// verifying credentials themselves.
+export const IDENTITY_HEADERS = {
+  id: 'x-user-id',
+  roles: 'x-user-roles',
+  scopes: 'x-user-scopes',
+  apiKeyId: 'x-api-key-id'
+};
+
+// The API key itself is a secret and never leaves the gateway
+const IDENTITY_HEADER_PREFIXES = ['x-user-', 'x-api-key'];
+
+// Removes client-supplied identity headers from a (lower-cased) header object
+export function stripIdentityHeaders(headers) {
+  for (const name of Object.keys(headers)) {
+    if (IDENTITY_HEADER_PREFIXES.some(prefix => name.toLowerCase().startsWith(prefix))) {
+      delete headers[name];
+    }
+  }
+  return headers;
+}
+
+export function identityHeaders({ user, apiKey }) {
+  const headers = {};
+  if (user) {
+    headers[IDENTITY_HEADERS.id] = user.id;
+    headers[IDENTITY_HEADERS.roles] = user.roles.join(',');
+    headers[IDENTITY_HEADERS.scopes] = user.scopes.join(' ');
+  }
+  if (apiKey) {
+    headers[IDENTITY_HEADERS.apiKeyId] = apiKey.id;
+  }
+  return headers;
+}
+
+// Sets req.user to { id, roles, scopes } from the gateway's headers, or null
+// for anonymous requests, and req.apiKeyId to the partner's API key id
+export function readIdentity(req, res, next) {
+  const id = req.get(IDENTITY_HEADERS.id);
+  req.user = id
+    ? {
+      id,
+      roles: (req.get(IDENTITY_HEADERS.roles) || '').split(',').filter(Boolean),
+      scopes: (req.get(IDENTITY_HEADERS.scopes) || '').split(' ').filter(Boolean)
+    }
+    : null;
+  req.apiKeyId = req.get(IDENTITY_HEADERS.apiKeyId) || null;
+  next();
+}
+
+// Rejects anonymous requests, and with roles given, users with none of them;
+// use after readIdentity
+export function requireUser(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (roles.length > 0 && !roles.some(role => req.user.roles.includes(role))) {
+      return res.status(403).json({ error: `Requires one of the roles: ${roles.join(', ')}` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,186 @@
+// Selecting service instances by tags, version range and zone. Works on the
+// normalized instance records both registries return: { tags, version, zone }.
+
+const VERSION_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:[-+].*)?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?(.+)$/;
+
+// "1.2.3", "v1.2" or "1.x" as [major, minor, patch], with null for missing
+// or wildcard parts; pre-release and build suffixes are ignored
+function parsePartial(text) {
+  const match = VERSION_PATTERN.exec(text);
+  if (!match) {
+    return null;
+  }
+  const parts = match.slice(1, 4).map(part => (part === undefined || /^[xX*]$/.test(part) ? null : Number(part)));
+  // Nothing may follow a wildcard, "1.x.3" is not a version
+  const firstWildcard = parts.indexOf(null);
+  if (firstWildcard !== -1 && parts.slice(firstWildcard).some(part => part !== null)) {
+    return null;
+  }
+  return parts;
+}
+
+export function parseVersion(text) {
+  const parts = typeof text === 'string' ? parsePartial(text.trim()) : null;
+  return parts && parts[0] !== null ? parts.map(part => part ?? 0) : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+// Smallest version above everything matching the first index + 1 parts:
+// bump([1, 2, 0], 1) is 1.3.0
+function bump(version, index) {
+  return version.map((part, i) => (i < index ? part : i === index ? part + 1 : 0));
+}
+
+// One token of a range as a list of { op, version } comparators
+function parseComparator(token) {
+  const [, op = '', text] = COMPARATOR_PATTERN.exec(token);
+  const parts = parsePartial(text);
+  if (!parts) {
+    return null;
+  }
+
+  const defined = parts.filter(part => part !== null).length;
+  const low = parts.map(part => part ?? 0);
+  if (defined === 0) {
+    return [];
+  }
+
+  switch (op) {
+    case '':
+    case '=':
+      return defined === 3
+        ? [{ op: '=', version: low }]
+        : [{ op: '>=', version: low }, { op: '<', version: bump(low, defined - 1) }];
+    case '^': {
+      // Changes left of the first non-zero part are breaking
+      const index = low[0] > 0 || defined === 1 ? 0 : low[1] > 0 || defined === 2 ? 1 : 2;
+      return [{ op: '>=', version: low }, { op: '<', version: bump(low, index) }];
+    }
+    case '~':
+      return [{ op: '>=', version: low }, { op: '<', version: bump(low, defined >= 2 ? 1 : 0) }];
+    case '>':
+      return [defined === 3 ? { op: '>', version: low } : { op: '>=', version: bump(low, defined - 1) }];
+    case '<=':
+      return [defined === 3 ? { op: '<=', version: low } : { op: '<', version: bump(low, defined - 1) }];
+    default:
+      return [{ op, version: low }];
+  }
+}
+
+// npm-style ranges: "2.x", "^1.4.0", ">=1.2 <2", "1.x || >=3.1.0"; returns
+// the alternatives as lists of comparators, or null when the range is invalid
+export function parseVersionRange(range) {
+  if (typeof range !== 'string') {
+    return null;
+  }
+
+  const alternatives = [];
+  for (const alternative of range.split('||')) {
+    const comparators = [];
+    for (const token of alternative.trim().split(/\s+/).filter(Boolean)) {
+      const parsed = parseComparator(token);
+      if (!parsed) {
+        return null;
+      }
+      comparators.push(...parsed);
+    }
+    alternatives.push(comparators);
+  }
+  return alternatives;
+}
+
+const comparisons = {
+  '=': order => order === 0,
+  '>': order => order > 0,
+  '>=': order => order >= 0,
+  '<': order => order < 0,
+  '<=': order => order <= 0
+};
+
+export function satisfiesVersion(version, range) {
+  const parsed = parseVersion(version);
+  const alternatives = parseVersionRange(range);
+  if (!parsed || !alternatives) {
+    return false;
+  }
+  return alternatives.some(comparators =>
+    comparators.every(({ op, version: bound }) => comparisons[op](compareVersions(parsed, bound)))
+  );
+}
+
+// Returns a list of problems with a filter, empty when it is usable
+export function validateInstanceFilter(filter, where = 'filter') {
+  const errors = [];
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    return [`${where} must be an object`];
+  }
+  if (filter.tags !== undefined &&
+      (!Array.isArray(filter.tags) || !filter.tags.every(tag => typeof tag === 'string' && tag !== ''))) {
+    errors.push(`${where}.tags must be a list of tags`);
+  }
+  if (filter.version !== undefined && !parseVersionRange(filter.version)) {
+    errors.push(`${where}.version must be a version range such as "2.x" or ">=1.4.0 <2"`);
+  }
+  if (filter.zone !== undefined && (typeof filter.zone !== 'string' || filter.zone === '')) {
+    errors.push(`${where}.zone must be a zone name`);
+  }
+  return errors;
+}
+
+// An instance matches when it has every tag, a version in the range and
+// the zone; instances without a version never match a version range
+export function matchesInstanceFilter(instance, filter) {
+  if (!filter) {
+    return true;
+  }
+  const tags = instance.tags || [];
+  if (filter.tags && !filter.tags.every(tag => tags.includes(tag))) {
+    return false;
+  }
+  if (filter.version && !(instance.version && satisfiesVersion(instance.version, filter.version))) {
+    return false;
+  }
+  return !filter.zone || instance.zone === filter.zone;
+}
+
+export function filterInstances(instances, filter) {
+  return filter ? instances.filter(instance => matchesInstanceFilter(instance, filter)) : instances;
+}
+
+// Filters travel as query parameters: ?tag=v2&tag=eu&version=2.x&zone=eu-1
+export function filterToQuery(filter = {}) {
+  const params = new URLSearchParams();
+  (filter.tags || []).forEach(tag => params.append('tag', tag));
+  if (filter.version) {
+    params.set('version', filter.version);
+  }
+  if (filter.zone) {
+    params.set('zone', filter.zone);
+  }
+  return params.toString();
+}
+
+// Reads a filter from parsed query parameters; returns { filter } or { errors }
+export function filterFromQuery(query) {
+  const filter = {};
+  if (query.tag !== undefined) {
+    filter.tags = [].concat(query.tag);
+  }
+  if (query.version !== undefined) {
+    filter.version = query.version;
+  }
+  if (query.zone !== undefined) {
+    filter.zone = query.zone;
+  }
+  const errors = validateInstanceFilter(filter, 'query');
+  return errors.length > 0 ? { errors } : { filter: Object.keys(filter).length > 0 ? filter : null };
+}
@@ -0,0 +1,131 @@
+import { EventEmitter } from 'events';
+import { filterInstances } from './instanceFilter.js';
+
+const DEFAULT_TTL_MS = 30000;
+const SWEEP_INTERVAL_MS = 5000;
+
+// In-memory service registry with TTL leases. Instances registered with a
+// ttlMs must renew it with heartbeats or they expire; instances without one
+// stay until deregistered. Emits 'registered', 'deregistered' and 'expired'
+// with the instance record.
+class InstanceRegistry extends EventEmitter {
+  constructor({ defaultTtlMs = DEFAULT_TTL_MS } = {}) {
+    super();
+    this.defaultTtlMs = defaultTtlMs;
+    this.instances = new Map();
+    this.sweepTimer = null;
+  }
+
+  register({ service, id, address = 'localhost', port, meta = {}, tags = [], version = null, zone = null, checkUrl, ttlMs = null }) {
+    const now = Date.now();
+    const previous = this.instances.get(id);
+    const instance = {
+      id,
+      service,
+      address,
+      port,
+      meta,
+      tags,
+      version,
+      zone,
+      checkUrl: checkUrl || `http://${address}:${port}/health/ready`,
+      ttlMs,
+      registeredAt: previous?.registeredAt || now,
+      lastHeartbeat: now,
+      // Re-registering keeps the health check state of the same instance
+      healthy: previous?.healthy ?? true,
+      unhealthyReason: previous?.unhealthyReason || null,
+      consecutiveSuccesses: previous?.consecutiveSuccesses || 0,
+      consecutiveFailures: previous?.consecutiveFailures || 0,
+      lastCheck: previous?.lastCheck || null
+    };
+
+    this.instances.set(id, instance);
+    if (!previous) {
+      this.emit('registered', instance);
+    }
+    return instance;
+  }
+
+  // Extends the lease; null when the instance is unknown (e.g. already expired)
+  renew(id) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      return null;
+    }
+    instance.lastHeartbeat = Date.now();
+    return instance;
+  }
+
+  deregister(id) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      return null;
+    }
+    this.instances.delete(id);
+    this.emit('deregistered', instance);
+    return instance;
+  }
+
+  get(id) {
+    return this.instances.get(id) || null;
+  }
+
+  // Instances of a service (or all of them), optionally narrowed by tags, version and zone
+  list(service, filter = null) {
+    return filterInstances(
+      Array.from(this.instances.values()).filter(instance => !service || instance.service === service),
+      filter
+    );
+  }
+
+  expiresAt(instance) {
+    return instance.ttlMs ? instance.lastHeartbeat + instance.ttlMs : null;
+  }
+
+  // Removes instances whose lease ran out
+  sweep(now = Date.now()) {
+    for (const instance of this.instances.values()) {
+      const expiresAt = this.expiresAt(instance);
+      if (expiresAt !== null && now > expiresAt) {
+        this.instances.delete(instance.id);
+        this.emit('expired', instance);
+      }
+    }
+  }
+
+  startExpiry(intervalMs = SWEEP_INTERVAL_MS) {
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.sweep(), intervalMs);
+      this.sweepTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  toJSON(instance) {
+    const expiresAt = this.expiresAt(instance);
+    return {
+      id: instance.id,
+      service: instance.service,
+      address: instance.address,
+      port: instance.port,
+      meta: instance.meta,
+      tags: instance.tags,
+      version: instance.version,
+      zone: instance.zone,
+      checkUrl: instance.checkUrl,
+      healthy: instance.healthy,
+      unhealthyReason: instance.unhealthyReason,
+      ttlMs: instance.ttlMs,
+      registeredAt: new Date(instance.registeredAt).toISOString(),
+      lastHeartbeat: new Date(instance.lastHeartbeat).toISOString(),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+    };
+  }
+}
+
+export default InstanceRegistry;
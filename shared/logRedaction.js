@@ -0,0 +1,126 @@
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Keys whose values are never logged; compared lowercase without '-' and '_',
+// so 'X-Api-Key', 'api_key' and 'apiKey' all match 'apikey'
+const DEFAULT_REDACTED_KEYS = [
+  'authorization',
+  'proxyauthorization',
+  'cookie',
+  'setcookie',
+  'password',
+  'passwordhash',
+  'token',
+  'accesstoken',
+  'refreshtoken',
+  'apikey',
+  'xapikey',
+  'secret',
+  'clientsecret'
+];
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[-_]/g, '');
+}
+
+const redactedKeys = new Set([
+  ...DEFAULT_REDACTED_KEYS,
+  ...(process.env.LOG_REDACT_KEYS || '').split(',').map(key => normalizeKey(key.trim())).filter(Boolean)
+]);
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Issuer prefixes and lengths of Visa, Mastercard, Amex, Discover, JCB and
+// Diners Club numbers; digit runs without separators are only treated as card
+// numbers when they look like one of these, not like an id or a timestamp
+const CARD_NUMBER_PATTERN = /^(?:4\d{12}(?:\d{3}){0,2}|5[1-5]\d{14}|2(?:2[2-9]|[3-6]\d|7[01])\d{13}|3[47]\d{13}|6(?:011|5\d\d|4[4-9]\d)\d{12,15}|35\d{14,17}|3(?:0[0-5]|[689]\d)\d{11,16})$/;
+
+// Applied to every string value, including messages
+const valueRules = [
+  {
+    name: 'email',
+    // Keeps the first character and the domain: j***@example.com
+    pattern: /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g,
+    replace: '$1***@$2'
+  },
+  {
+    name: 'credentials',
+    pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi,
+    replace: `$1 ${REDACTED}`
+  },
+  {
+    name: 'card number',
+    // 13 to 19 digits, optionally grouped with spaces or dashes; only masked when the Luhn check passes
+    // and the digits are grouped or start like a card number
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    replace: (match) => {
+      const digits = match.replace(/\D/g, '');
+      const looksLikeCard = digits.length !== match.length || CARD_NUMBER_PATTERN.test(digits);
+      return looksLikeCard && passesLuhn(digits) ? `****${digits.slice(-4)}` : match;
+    }
+  }
+];
+
+export function addRedactedKey(key) {
+  redactedKeys.add(normalizeKey(key));
+}
+
+// rule: { name, pattern (global RegExp), replace (string or function) }
+export function addRedactionRule(rule) {
+  valueRules.push(rule);
+}
+
+export function redactString(value) {
+  return valueRules.reduce((result, rule) => result.replace(rule.pattern, rule.replace), value);
+}
+
+// Redacts one named field: the whole value for sensitive key names, the
+// patterns above otherwise
+export function redactField(key, value, depth = 0, ancestors = new WeakSet()) {
+  return redactedKeys.has(normalizeKey(key)) ? REDACTED : redactValue(value, depth, ancestors);
+}
+
+// Returns a redacted copy; the caller's objects are never modified. Only
+// objects that contain themselves are reported as circular, not ones that are
+// merely referenced twice.
+export function redactValue(value, depth = 0, ancestors = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message) };
+  }
+  if (!Array.isArray(value) && Object.getPrototypeOf(value) !== Object.prototype && Object.getPrototypeOf(value) !== null) {
+    // Dates, buffers and the like are left to the JSON serializer
+    return value;
+  }
+
+  ancestors.add(value);
+  const copy = Array.isArray(value)
+    ? value.map(item => redactValue(item, depth + 1, ancestors))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactField(key, item, depth + 1, ancestors)]));
+  ancestors.delete(value);
+  return copy;
+}
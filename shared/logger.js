@@ -1,19 +1,180 @@
 import winston from 'winston';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import { v4 as uuidv4 } from 'uuid';
+import { redactField, redactValue } from './logRedaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Create logs directory if it doesn't exist
 import fs from 'fs';
-const logsDir = path.join(__dirname, '../logs');
+export const logsDir = path.join(__dirname, '../logs');
 if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+const LEVELS = Object.keys(winston.config.npm.levels);
+
+// Runtime logging settings, shared by every process through a file the
+// gateway's admin API writes and each process watches:
+//   level              default level (LOG_LEVEL until the file sets one)
+//   services           level per service; "user-service" also matches "user-service-3002"
+//   routes             level per request path prefix, for logs written while handling a request
+//   requestSampleRate  share of "Request started/completed" lines kept; failed requests are always logged
+//   bodyLogging        path prefixes whose request and response bodies are logged
+export const loggingSettingsFile = process.env.LOG_SETTINGS_FILE || path.join(logsDir, 'logging-settings.json');
+
+const defaultSettings = {
+  level: process.env.LOG_LEVEL || 'info',
+  services: {},
+  routes: {},
+  requestSampleRate: parseFloat(process.env.LOG_REQUEST_SAMPLE_RATE) || 1,
+  bodyLogging: []
+};
+
+let settings = { ...defaultSettings };
+
+// Returns a list of problems with a settings object; empty when valid
+export function validateLoggingSettings(candidate) {
+  const errors = [];
+  const isLevelMap = value => value && typeof value === 'object' && !Array.isArray(value);
+
+  if (!LEVELS.includes(candidate.level)) {
+    errors.push(`level must be one of ${LEVELS.join(', ')}`);
+  }
+  for (const field of ['services', 'routes']) {
+    if (!isLevelMap(candidate[field])) {
+      errors.push(`${field} must be an object of levels`);
+      continue;
+    }
+    for (const [key, level] of Object.entries(candidate[field])) {
+      if (!LEVELS.includes(level)) {
+        errors.push(`${field}.${key}: unknown level "${level}"`);
+      }
+      if (field === 'routes' && !key.startsWith('/')) {
+        errors.push(`routes.${key}: route prefixes must start with /`);
+      }
+    }
+  }
+  const rate = candidate.requestSampleRate;
+  if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+    errors.push('requestSampleRate must be a number between 0 and 1');
+  }
+  if (!Array.isArray(candidate.bodyLogging) || candidate.bodyLogging.some(prefix => typeof prefix !== 'string' || !prefix.startsWith('/'))) {
+    errors.push('bodyLogging must be a list of path prefixes starting with /');
+  }
+
+  return errors;
+}
+
+function loadSettingsFile() {
+  if (!fs.existsSync(loggingSettingsFile)) {
+    settings = { ...defaultSettings };
+    return;
+  }
+
+  try {
+    const candidate = { ...defaultSettings, ...JSON.parse(fs.readFileSync(loggingSettingsFile, 'utf8')) };
+    const errors = validateLoggingSettings(candidate);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    settings = candidate;
+  } catch (error) {
+    // Keep the current settings; logging through winston here could recurse into a broken config
+    console.error(`Ignoring invalid logging settings in ${loggingSettingsFile}: ${error.message}`);
+  }
+}
+
+export function getLoggingSettings() {
+  return settings;
+}
+
+// Merges a partial update, persists it for the other processes and applies it here
+export function updateLoggingSettings(patch) {
+  const candidate = { ...settings, ...patch };
+  const errors = validateLoggingSettings(candidate);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const tmpFile = `${loggingSettingsFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(candidate, null, 2));
+  fs.renameSync(tmpFile, loggingSettingsFile);
+  settings = candidate;
+  return { settings };
+}
+
+loadSettingsFile();
+fs.watchFile(loggingSettingsFile, { interval: 2000, persistent: false }, loadSettingsFile);
+
+// Request id and path of the request being handled, set by requestMiddleware
+const requestContext = new AsyncLocalStorage();
+
+function matchesPrefix(value, prefix) {
+  return value === prefix || value.startsWith(prefix.endsWith('/') ? prefix : `${prefix}/`);
+}
+
+function longestPrefixMatch(prefixes, value) {
+  return prefixes
+    .filter(prefix => matchesPrefix(value, prefix))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+// Most specific setting wins: route, then service, then the default
+function levelFor(service, requestPath) {
+  if (requestPath) {
+    const route = longestPrefixMatch(Object.keys(settings.routes), requestPath);
+    if (route) {
+      return settings.routes[route];
+    }
+  }
+  if (service) {
+    const serviceKey = Object.keys(settings.services)
+      .filter(key => service === key || service.startsWith(`${key}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    if (serviceKey) {
+      return settings.services[serviceKey];
+    }
+  }
+  return settings.level;
+}
+
+export function isLevelEnabled(level, service, requestPath) {
+  return winston.config.npm.levels[level] <= winston.config.npm.levels[levelFor(service, requestPath)];
+}
+
+// Drops entries below the effective level and fills in the request id
+const levelFilter = winston.format((info) => {
+  const context = requestContext.getStore();
+  if (!isLevelEnabled(info.level, info.service, context?.path)) {
+    return false;
+  }
+  if (!info.requestId && context?.requestId) {
+    info.requestId = context.requestId;
+  }
+  return info;
+});
+
+// Masks emails, credentials and card numbers in every field and the message,
+// and drops the values of sensitive fields such as password or authorization
+const redact = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key === 'message') {
+      info[key] = redactValue(info[key]);
+    } else if (key !== 'level' && key !== 'timestamp') {
+      info[key] = redactField(key, info[key]);
+    }
+  }
+  return info;
+});
+
 // Custom format for structured logging
 const logFormat = winston.format.combine(
+  levelFilter(),
+  redact(),
   winston.format.timestamp(),
   winston.format.errors({ stack: true }),
   winston.format.json(),
@@ -30,8 +191,9 @@ const logFormat = winston.format.combine(
 );
 
 // Create logger instance
+// Levels are filtered per service and route by levelFilter, so winston itself lets everything through
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: 'silly',
   format: logFormat,
   transports: [
     // Console transport for development
@@ -74,20 +236,31 @@ export function createServiceLogger(serviceName) {
     
     // Request logging middleware
     requestMiddleware: (req, res, next) => {
-      const requestId = req.headers['x-request-id'] || require('uuid').v4();
+      const requestId = req.headers['x-request-id'] || uuidv4();
       req.requestId = requestId;
       
-      logger.info('Request started', {
-        service: serviceName,
-        requestId,
-        method: req.method,
-        url: req.url,
-        userAgent: req.headers['user-agent'],
-        ip: req.ip
-      });
+      // Failed requests are logged even when the request was not sampled
+      const sampled = Math.random() < settings.requestSampleRate;
+      const logBodies = longestPrefixMatch(settings.bodyLogging, req.path) !== undefined;
+      const responseBody = logBodies ? captureResponseBody(res) : null;
+      
+      if (sampled) {
+        logger.info('Request started', {
+          service: serviceName,
+          requestId,
+          method: req.method,
+          url: req.url,
+          userAgent: req.headers['user-agent'],
+          ip: req.ip,
+          ...(logBodies && req.body !== undefined && { requestBody: req.body })
+        });
+      }
       
       const start = Date.now();
       res.on('finish', () => {
+        if (!sampled && res.statusCode < 400) {
+          return;
+        }
         const duration = Date.now() - start;
         logger.info('Request completed', {
           service: serviceName,
@@ -95,11 +268,49 @@ export function createServiceLogger(serviceName) {
           method: req.method,
           url: req.url,
           statusCode: res.statusCode,
-          duration: `${duration}ms`
+          duration: `${duration}ms`,
+          ...(responseBody && { responseBody: responseBody() })
         });
       });
       
-      next();
+      requestContext.run({ requestId, path: req.path }, next);
+    }
+  };
+}
+
+// Keeps the first few KB written to a response; returns a function that
+// yields the body, parsed when it is JSON so redaction can see its keys
+function captureResponseBody(res, limit = 4096) {
+  const chunks = [];
+  let size = 0;
+  const keep = (chunk, encoding) => {
+    if (chunk && size < limit) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+      chunks.push(buffer.subarray(0, limit - size));
+      size += buffer.length;
+    }
+  };
+  
+  const write = res.write;
+  const end = res.end;
+  res.write = function (chunk, encoding, ...rest) {
+    keep(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    keep(typeof chunk === 'function' ? null : chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+  
+  return () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    if (size > limit) {
+      return `${body}... (${size} bytes)`;
+    }
+    try {
+      return JSON.parse(body);
+    } catch {
+      return body;
     }
   };
 }
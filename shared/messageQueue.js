@@ -1,15 +1,35 @@
 import Bull from 'bull';
 import Redis from 'ioredis';
 import { createServiceLogger } from './logger.js';
+import metrics from './metrics.js';
+import tracing, { SpanKind } from './tracing.js';
 
 const logger = createServiceLogger('message-queue');
 
+const JOB_STATES = ['waiting', 'active', 'delayed', 'failed'];
+
 class MessageQueueManager {
   constructor() {
     this.redis = null;
     this.queues = new Map();
     this.useRedis = false;
     this.fallbackQueue = new Map(); // In-memory fallback
+    this.pendingJobs = new Set(); // Fallback jobs not yet processed
+
+    const manager = this;
+    metrics.gauge({
+      name: 'message_queue_jobs',
+      help: 'Jobs in each message queue, by state',
+      labelNames: ['queue', 'state'],
+      async collect() {
+        const counts = await manager.getJobCounts().catch(() => ({}));
+        for (const [queue, queueCounts] of Object.entries(counts)) {
+          for (const state of JOB_STATES) {
+            this.set({ queue, state }, queueCounts[state] || 0);
+          }
+        }
+      }
+    });
     this.init();
   }
 
@@ -77,20 +97,23 @@ class MessageQueueManager {
             status: 'waiting'
           };
           
-          this.fallbackQueue.jobs.push(job);
+          fallbackQueue.jobs.push(job);
           logger.info('Job added to fallback queue', { queue: name, jobId: job.id });
           
           // Process immediately in fallback mode
-          setTimeout(() => this.processFallbackJob(name, job), 0);
+          const processing = new Promise(resolve => setTimeout(resolve, 0))
+            .then(() => this.processFallbackJob(name, job))
+            .finally(() => this.pendingJobs.delete(processing));
+          this.pendingJobs.add(processing);
           
           return job;
         },
         
-        process: (processor) => {
-          if (!this.fallbackQueue.processors) {
-            this.fallbackQueue.processors = [];
-          }
-          this.fallbackQueue.processors.push(processor);
+        // Same signatures as Bull: process(processor) or process(jobName, processor)
+        process: (...args) => {
+          const processor = args[args.length - 1];
+          const jobName = typeof args[0] === 'string' ? args[0] : '*';
+          fallbackQueue.processors.push({ jobName, processor });
         }
       };
 
@@ -103,7 +126,8 @@ class MessageQueueManager {
   async processFallbackJob(queueName, job) {
     const queue = this.queues.get(queueName);
     if (queue && queue.processors) {
-      for (const processor of queue.processors) {
+      const processors = queue.processors.filter(({ jobName }) => jobName === '*' || jobName === job.name);
+      for (const { processor } of processors) {
         try {
           job.status = 'processing';
           await processor(job);
@@ -115,44 +139,113 @@ class MessageQueueManager {
           logger.error('Fallback job failed', { queue: queueName, jobId: job.id, error: error.message });
         }
       }
+      // Finished jobs are not kept around in memory
+      queue.jobs.splice(queue.jobs.indexOf(job), 1);
     }
   }
 
+  // Job counts per queue and state, for the queue depth metric
+  async getJobCounts() {
+    const counts = {};
+    for (const [name, queue] of this.queues.entries()) {
+      if (queue.getJobCounts) {
+        counts[name] = await queue.getJobCounts();
+      } else {
+        counts[name] = {
+          waiting: queue.jobs.filter(job => job.status === 'waiting').length,
+          active: queue.jobs.filter(job => job.status === 'processing').length
+        };
+      }
+    }
+    return counts;
+  }
+
   getQueue(name) {
     return this.queues.get(name);
   }
 
+  // Events carry the publisher's request id and trace context, so handlers
+  // continue the same trace without copying anything themselves
   async publishEvent(eventName, data) {
     const eventQueue = this.getQueue('events') || this.createQueue('events');
     
-    try {
-      await eventQueue.add(eventName, {
-        event: eventName,
-        data,
-        timestamp: new Date().toISOString(),
-        source: process.env.SERVICE_NAME || 'unknown'
-      });
-      
-      logger.info('Event published', { event: eventName, data });
-    } catch (error) {
-      logger.error('Failed to publish event', { event: eventName, error: error.message });
-    }
+    await tracing.trace(`publish ${eventName}`, {
+      kind: SpanKind.PRODUCER,
+      childOnly: true,
+      attributes: { 'messaging.system': this.useRedis ? 'bull' : 'in-memory', 'messaging.destination.name': eventName }
+    }, async (span) => {
+      try {
+        await eventQueue.add(eventName, {
+          event: eventName,
+          data,
+          timestamp: new Date().toISOString(),
+          source: process.env.SERVICE_NAME || 'unknown',
+          requestId: tracing.currentRequestId(),
+          trace: tracing.inject({}, span)
+        });
+        
+        logger.info('Event published', { event: eventName, data });
+      } catch (error) {
+        span?.recordException(error);
+        logger.error('Failed to publish event', { event: eventName, error: error.message });
+      }
+    });
   }
 
   subscribeToEvents(eventName, handler) {
     const eventQueue = this.getQueue('events') || this.createQueue('events');
     
     eventQueue.process(eventName, async (job) => {
+      const span = tracing.startSpan(`process ${eventName}`, {
+        kind: SpanKind.CONSUMER,
+        parent: tracing.extract(job.data.trace),
+        attributes: { 'messaging.destination.name': eventName, 'messaging.message.id': String(job.id) }
+      });
+      
       try {
-        await handler(job.data);
+        await tracing.withSpan(span, () => handler(job.data), job.data.requestId);
         logger.info('Event processed', { event: eventName });
       } catch (error) {
+        span.recordException(error);
         logger.error('Event processing failed', { event: eventName, error: error.message });
         throw error;
+      } finally {
+        span.end();
       }
     });
   }
 
+  // Readiness probe; the in-memory fallback is always usable
+  async ping() {
+    if (this.useRedis) {
+      await this.redis.ping();
+      return { mode: 'redis' };
+    }
+    return { mode: 'fallback' };
+  }
+
+  // Waits for running jobs (and queued fallback jobs) to finish, up to timeoutMs
+  async flush(timeoutMs = 5000) {
+    const pending = Array.from(this.pendingJobs);
+    for (const queue of this.queues.values()) {
+      if (queue.whenCurrentJobsFinished) {
+        pending.push(queue.whenCurrentJobsFinished());
+      }
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), timeoutMs);
+    });
+    const timedOut = await Promise.race([Promise.allSettled(pending).then(() => false), timeout]);
+    clearTimeout(timer);
+
+    if (timedOut) {
+      logger.warn('Message queue flush timed out', { timeoutMs, pendingJobs: this.pendingJobs.size });
+    }
+    return { flushed: pending.length, timedOut };
+  }
+
   async close() {
     for (const [name, queue] of this.queues.entries()) {
       if (queue.close) {
@@ -161,7 +254,12 @@ class MessageQueueManager {
     }
     
     if (this.redis) {
-      await this.redis.quit();
+      // quit() waits for a connection that may never come in fallback mode
+      if (this.redis.status === 'ready') {
+        await this.redis.quit();
+      } else {
+        this.redis.disconnect();
+      }
     }
   }
 }
@@ -0,0 +1,97 @@
+import client from 'prom-client';
+
+// Seconds; spans fast in-memory handlers up to the gateway's proxy timeouts
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15];
+
+// Prometheus metrics for one process. Shared modules register their own
+// metrics here; createMiddleware() records HTTP traffic and labels every
+// metric of the process with its service name.
+class MetricsRegistry {
+  constructor() {
+    this.register = new client.Registry();
+    client.collectDefaultMetrics({ register: this.register });
+
+    this.httpRequests = this.counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests handled, by route, method and status',
+      labelNames: ['route', 'method', 'status']
+    });
+
+    this.httpDuration = this.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency, by route, method and status',
+      labelNames: ['route', 'method', 'status']
+    });
+
+    this.httpInFlight = this.gauge({
+      name: 'http_requests_in_flight',
+      help: 'HTTP requests currently being handled'
+    });
+
+    this.handler = this.handler.bind(this);
+  }
+
+  counter(options) {
+    return new client.Counter({ ...options, registers: [this.register] });
+  }
+
+  gauge(options) {
+    return new client.Gauge({ ...options, registers: [this.register] });
+  }
+
+  histogram(options) {
+    return new client.Histogram({ buckets: LATENCY_BUCKETS, ...options, registers: [this.register] });
+  }
+
+  // Route label: the matched express route, or res.locals.metricsRoute for
+  // handlers without one (the gateway's proxy), so paths with ids don't
+  // turn into separate series
+  routeLabel(req, res) {
+    if (res.locals.metricsRoute) {
+      return res.locals.metricsRoute;
+    }
+    if (req.route) {
+      return `${req.baseUrl}${req.route.path}`;
+    }
+    return 'unmatched';
+  }
+
+  createMiddleware(serviceName) {
+    this.register.setDefaultLabels({ service: serviceName });
+
+    return (req, res, next) => {
+      // Scrapes would otherwise dominate the request counts
+      if (req.path === '/metrics') {
+        return next();
+      }
+
+      const endTimer = this.httpDuration.startTimer();
+      this.httpInFlight.inc();
+
+      res.once('close', () => {
+        const labels = {
+          route: this.routeLabel(req, res),
+          method: req.method,
+          status: res.headersSent ? res.statusCode : 'aborted'
+        };
+        this.httpInFlight.dec();
+        this.httpRequests.inc(labels);
+        endTimer(labels);
+      });
+
+      next();
+    };
+  }
+
+  // GET /metrics in the Prometheus text format
+  async handler(req, res) {
+    try {
+      res.set('Content-Type', this.register.contentType);
+      res.end(await this.register.metrics());
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to collect metrics', message: error.message });
+    }
+  }
+}
+
+export default new MetricsRegistry();
@@ -0,0 +1,230 @@
+// Rate limiting algorithms, each as a Redis Lua script and an equivalent
+// in-memory implementation. A hit counts one request against `limit` requests
+// per `windowMs` and returns { allowed, remaining, resetMs, retryAfterMs }:
+// resetMs is the time until the full limit is available again, retryAfterMs
+// the time until a rejected request would be allowed (0 when allowed).
+// Only the token bucket takes a burst size, the others ignore it.
+//
+// The scripts read the time from Redis so that every instance sharing the
+// store uses the same clock.
+
+export const RateLimitAlgorithm = {
+  FIXED_WINDOW: 'fixed-window',
+  SLIDING_WINDOW_LOG: 'sliding-window-log',
+  SLIDING_WINDOW_COUNTER: 'sliding-window-counter',
+  TOKEN_BUCKET: 'token-bucket'
+};
+
+export const DEFAULT_ALGORITHM = RateLimitAlgorithm.SLIDING_WINDOW_COUNTER;
+
+export function isRateLimitAlgorithm(name) {
+  return Object.values(RateLimitAlgorithm).includes(name);
+}
+
+const REDIS_NOW = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+`;
+
+// Counts requests per window; up to twice the limit can get through around a
+// window boundary. Rejected requests are not counted.
+const fixedWindow = {
+  command: 'rateLimitFixedWindow',
+  script: `${REDIS_NOW}
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('SET', KEYS[1], 0, 'PX', window)
+  ttl = window
+end
+local count = tonumber(redis.call('GET', KEYS[1]))
+if count >= limit then
+  return {0, 0, ttl, ttl}
+end
+count = redis.call('INCR', KEYS[1])
+return {1, limit - count, ttl, 0}
+`,
+  hit(state, limit, windowMs, now) {
+    if (!state || state.expiresAt <= now) {
+      state = { count: 0, expiresAt: now + windowMs };
+    }
+    const resetMs = state.expiresAt - now;
+    if (state.count >= limit) {
+      return { state, allowed: false, remaining: 0, resetMs, retryAfterMs: resetMs };
+    }
+    state.count++;
+    return { state, allowed: true, remaining: limit - state.count, resetMs, retryAfterMs: 0 };
+  }
+};
+
+// Keeps the time of every allowed request in the last window; exact, at the
+// cost of memory per request
+const slidingWindowLog = {
+  command: 'rateLimitSlidingWindowLog',
+  script: `${REDIS_NOW}
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[3])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = tonumber(redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')[2] or now)
+local newest = tonumber(redis.call('ZRANGE', KEYS[1], -1, -1, 'WITHSCORES')[2] or now)
+local retry = 0
+if allowed == 0 then
+  retry = oldest + window - now
+end
+return {allowed, math.max(0, limit - count), newest + window - now, retry}
+`,
+  hit(state, limit, windowMs, now) {
+    const hits = (state?.hits || []).filter(time => time > now - windowMs);
+    const allowed = hits.length < limit;
+    if (allowed) {
+      hits.push(now);
+    }
+    const oldest = hits[0] ?? now;
+    const newest = hits[hits.length - 1] ?? now;
+    return {
+      state: { hits, expiresAt: newest + windowMs },
+      allowed,
+      remaining: Math.max(0, limit - hits.length),
+      resetMs: newest + windowMs - now,
+      retryAfterMs: allowed ? 0 : oldest + windowMs - now
+    };
+  }
+};
+
+// Weights the previous window's count by how much of it still overlaps the
+// sliding window; close to the log's accuracy with two counters per key
+const slidingWindowCounter = {
+  command: 'rateLimitSlidingWindowCounter',
+  script: `${REDIS_NOW}
+local current_window = math.floor(now / window)
+local state = redis.call('HMGET', KEYS[1], 'window', 'current', 'previous')
+local stored_window = tonumber(state[1]) or current_window
+local current = tonumber(state[2]) or 0
+local previous = tonumber(state[3]) or 0
+if stored_window == current_window - 1 then
+  previous = current
+  current = 0
+elseif stored_window < current_window - 1 then
+  previous = 0
+  current = 0
+end
+
+local left = (current_window + 1) * window - now
+local estimate = previous * left / window + current
+local allowed = 0
+if estimate + 1 <= limit then
+  current = current + 1
+  estimate = estimate + 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'window', current_window, 'current', current, 'previous', previous)
+redis.call('PEXPIRE', KEYS[1], left + window)
+
+local reset = 0
+if current > 0 then
+  reset = left + window
+elseif previous > 0 then
+  reset = left
+end
+local retry = 0
+if allowed == 0 then
+  if current <= limit - 1 then
+    retry = left - (limit - 1 - current) * window / previous
+  else
+    retry = left + window * (1 - (limit - 1) / current)
+  end
+end
+return {allowed, math.max(0, math.floor(limit - estimate)), reset, math.ceil(retry)}
+`,
+  hit(state, limit, windowMs, now) {
+    const currentWindow = Math.floor(now / windowMs);
+    let { window = currentWindow, current = 0, previous = 0 } = state || {};
+    if (window === currentWindow - 1) {
+      previous = current;
+      current = 0;
+    } else if (window < currentWindow - 1) {
+      previous = 0;
+      current = 0;
+    }
+
+    const left = (currentWindow + 1) * windowMs - now;
+    let estimate = previous * left / windowMs + current;
+    const allowed = estimate + 1 <= limit;
+    if (allowed) {
+      current++;
+      estimate++;
+    }
+
+    let retryAfterMs = 0;
+    if (!allowed) {
+      retryAfterMs = current <= limit - 1
+        // Once the previous window's share has decayed enough
+        ? left - (limit - 1 - current) * windowMs / previous
+        // Into the next window, once this window's share has decayed enough
+        : left + windowMs * (1 - (limit - 1) / current);
+    }
+    return {
+      state: { window: currentWindow, current, previous, expiresAt: now + left + windowMs },
+      allowed,
+      remaining: Math.max(0, Math.floor(limit - estimate)),
+      resetMs: current > 0 ? left + windowMs : previous > 0 ? left : 0,
+      retryAfterMs: Math.ceil(retryAfterMs)
+    };
+  }
+};
+
+// Holds up to `burst` tokens (the limit by default), refilled at `limit` per
+// window; allows bursts of that size and a steady rate after that
+const tokenBucket = {
+  command: 'rateLimitTokenBucket',
+  script: `${REDIS_NOW}
+local capacity = tonumber(ARGV[4]) or limit
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(state[1]) or capacity
+local updated = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated) * limit / window)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+local full = math.ceil((capacity - tokens) * window / limit)
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', now)
+redis.call('PEXPIRE', KEYS[1], math.max(full, 1))
+local retry = 0
+if allowed == 0 then
+  retry = math.ceil((1 - tokens) * window / limit)
+end
+return {allowed, math.floor(tokens), full, retry}
+`,
+  hit(state, limit, windowMs, now, burst = limit) {
+    const updated = state?.updated ?? now;
+    let tokens = Math.min(burst, (state?.tokens ?? burst) + Math.max(0, now - updated) * limit / windowMs);
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens--;
+    }
+    const resetMs = Math.ceil((burst - tokens) * windowMs / limit);
+    return {
+      state: { tokens, updated: now, expiresAt: now + Math.max(resetMs, 1) },
+      allowed,
+      remaining: Math.floor(tokens),
+      resetMs,
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) * windowMs / limit)
+    };
+  }
+};
+
+export const algorithms = {
+  [RateLimitAlgorithm.FIXED_WINDOW]: fixedWindow,
+  [RateLimitAlgorithm.SLIDING_WINDOW_LOG]: slidingWindowLog,
+  [RateLimitAlgorithm.SLIDING_WINDOW_COUNTER]: slidingWindowCounter,
+  [RateLimitAlgorithm.TOKEN_BUCKET]: tokenBucket
+};
@@ -0,0 +1,317 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { createServiceLogger } from './logger.js';
+import { isRateLimitAlgorithm, RateLimitAlgorithm } from './rateLimitAlgorithms.js';
+
+const logger = createServiceLogger('rate-limit-policy');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const defaultPolicyPath = process.env.RATE_LIMIT_POLICY || path.join(__dirname, 'rate-limits.json');
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// What a rule counts requests per; callers without a user, API key or
+// (authenticated) tenant are counted per IP
+export const PolicyKey = {
+  IP: 'ip',
+  USER: 'user',
+  API_KEY: 'apiKey',
+  TENANT: 'tenant',
+  GLOBAL: 'global'
+};
+
+const MATCH_FIELDS = ['services', 'routes', 'methods', 'paths', 'apiKeys', 'users', 'tenants', 'cidrs'];
+
+// Match fields compared as plain values, and the request fact each one checks
+const FACT_BY_FIELD = {
+  services: 'service',
+  routes: 'route',
+  methods: 'method',
+  apiKeys: 'apiKey',
+  users: 'user',
+  tenants: 'tenant'
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+const isNameList = (value) => Array.isArray(value) && value.every(name => typeof name === 'string' && name !== '');
+
+// "10.0.0.0/8", "::1/128" or a single address; returns { address, prefix, type } or null
+export function parseCidr(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const [address, prefixText, ...rest] = value.split('/');
+  const version = net.isIP(address);
+  if (version === 0 || rest.length > 0) {
+    return null;
+  }
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) {
+    return null;
+  }
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (prefix > maxPrefix) {
+    return null;
+  }
+  return { address, prefix, type: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+function validateMatch(match, where, errors) {
+  if (match === undefined) {
+    return;
+  }
+  if (!isObject(match)) {
+    errors.push(`${where}.match must be an object`);
+    return;
+  }
+  for (const [field, value] of Object.entries(match)) {
+    if (!MATCH_FIELDS.includes(field)) {
+      errors.push(`${where}.match.${field} is not one of ${MATCH_FIELDS.join(', ')}`);
+    } else if (!isNameList(value)) {
+      errors.push(`${where}.match.${field} must be a list of strings`);
+    } else if (field === 'methods' && !value.every(method => HTTP_METHODS.includes(method))) {
+      errors.push(`${where}.match.methods must be a list of HTTP methods`);
+    } else if (field === 'paths' && !value.every(prefix => prefix.startsWith('/'))) {
+      errors.push(`${where}.match.paths must be paths starting with /`);
+    } else if (field === 'cidrs') {
+      value.filter(cidr => !parseCidr(cidr)).forEach(cidr => errors.push(`${where}.match.cidrs: "${cidr}" is not an IP address or CIDR range`));
+    }
+  }
+}
+
+function validateNamed(entry, where, names, errors) {
+  if (!isObject(entry)) {
+    errors.push(`${where} must be an object`);
+    return false;
+  }
+  if (typeof entry.name !== 'string' || entry.name === '') {
+    errors.push(`${where}.name is required`);
+  } else if (names.has(entry.name)) {
+    errors.push(`${where}.name "${entry.name}" is used by another entry`);
+  } else {
+    names.add(entry.name);
+  }
+  validateMatch(entry.match, where, errors);
+  return true;
+}
+
+// Returns a list of problems with the policy, empty when it is usable
+export function validateRateLimitPolicy(policy) {
+  const errors = [];
+  if (!isObject(policy)) {
+    return ['policy must be a JSON object'];
+  }
+
+  if (policy.tenantHeader !== undefined && (typeof policy.tenantHeader !== 'string' || policy.tenantHeader === '')) {
+    errors.push('tenantHeader must be a header name');
+  }
+
+  const defaults = policy.defaults || {};
+  if (!isObject(defaults)) {
+    errors.push('defaults must be an object');
+  } else {
+    if (defaults.algorithm !== undefined && !isRateLimitAlgorithm(defaults.algorithm)) {
+      errors.push(`defaults.algorithm must be one of ${Object.values(RateLimitAlgorithm).join(', ')}`);
+    }
+    if (defaults.windowMs !== undefined && !isPositiveInteger(defaults.windowMs)) {
+      errors.push('defaults.windowMs must be a positive integer');
+    }
+  }
+
+  const names = new Set();
+  for (const list of ['deny', 'allow', 'rules']) {
+    if (policy[list] !== undefined && !Array.isArray(policy[list])) {
+      errors.push(`${list} must be an array`);
+    }
+  }
+  (Array.isArray(policy.deny) ? policy.deny : []).forEach((entry, index) => validateNamed(entry, `deny[${index}]`, names, errors));
+  (Array.isArray(policy.allow) ? policy.allow : []).forEach((entry, index) => validateNamed(entry, `allow[${index}]`, names, errors));
+  (Array.isArray(policy.rules) ? policy.rules : []).forEach((rule, index) => {
+    const where = `rules[${index}]`;
+    if (!validateNamed(rule, where, names, errors)) {
+      return;
+    }
+    if (!isPositiveInteger(rule.limit)) {
+      errors.push(`${where}.limit must be a positive integer (requests per window)`);
+    }
+    if (rule.windowMs !== undefined && !isPositiveInteger(rule.windowMs)) {
+      errors.push(`${where}.windowMs must be a positive integer`);
+    }
+    if (rule.algorithm !== undefined && !isRateLimitAlgorithm(rule.algorithm)) {
+      errors.push(`${where}.algorithm must be one of ${Object.values(RateLimitAlgorithm).join(', ')}`);
+    }
+    if (rule.per !== undefined && !Object.values(PolicyKey).includes(rule.per)) {
+      errors.push(`${where}.per must be one of ${Object.values(PolicyKey).join(', ')}`);
+    }
+    if (rule.burst !== undefined) {
+      const algorithm = rule.algorithm || (isObject(defaults) && defaults.algorithm);
+      if (!isPositiveInteger(rule.burst)) {
+        errors.push(`${where}.burst must be a positive integer`);
+      } else if (algorithm !== RateLimitAlgorithm.TOKEN_BUCKET) {
+        errors.push(`${where}.burst needs algorithm ${RateLimitAlgorithm.TOKEN_BUCKET}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+// Compiles a match object into a predicate over the request's facts; all
+// given fields have to match, any value of a field will do
+function compileMatch(match = {}) {
+  const checks = [];
+
+  for (const [field, fact] of Object.entries(FACT_BY_FIELD)) {
+    if (match[field]) {
+      checks.push(facts => facts[fact] !== null && match[field].includes(facts[fact]));
+    }
+  }
+  if (match.paths) {
+    checks.push(facts => match.paths.some(prefix =>
+      prefix === '/' || facts.path === prefix || facts.path.startsWith(`${prefix}/`)));
+  }
+  if (match.cidrs) {
+    const blockList = new net.BlockList();
+    for (const { address, prefix, type } of match.cidrs.map(parseCidr)) {
+      blockList.addSubnet(address, prefix, type);
+    }
+    checks.push(facts => {
+      const type = net.isIP(facts.ip);
+      return type !== 0 && blockList.check(facts.ip, type === 4 ? 'ipv4' : 'ipv6');
+    });
+  }
+
+  return facts => checks.every(check => check(facts));
+}
+
+// Compiled, immutable view of one policy file version
+export class RateLimitPolicy {
+  constructor(raw) {
+    const defaults = raw.defaults || {};
+    this.tenantHeader = (raw.tenantHeader || 'x-tenant-id').toLowerCase();
+    this.deny = (raw.deny || []).map(entry => ({ name: entry.name, matches: compileMatch(entry.match) }));
+    this.allow = (raw.allow || []).map(entry => ({ name: entry.name, matches: compileMatch(entry.match) }));
+    this.rules = (raw.rules || []).map(rule => ({
+      name: rule.name,
+      matches: compileMatch(rule.match),
+      limit: rule.limit,
+      windowMs: rule.windowMs || defaults.windowMs || 60000,
+      algorithm: rule.algorithm || defaults.algorithm || null,
+      burst: rule.burst || null,
+      per: rule.per || PolicyKey.IP
+    }));
+  }
+
+  // What is known about the request; `service` is the limiter's name and
+  // `route` the gateway route, if any. The tenant header is the client's own
+  // claim, so it only counts for callers with a verified user or API key;
+  // anonymous callers could otherwise dodge tenant rules by changing it.
+  facts(req, { service, route = null }) {
+    const user = req.user?.id ?? null;
+    const apiKey = req.apiKey?.id ?? req.apiKeyId ?? null;
+    return {
+      service,
+      route,
+      method: req.method,
+      path: req.path,
+      ip: req.ip,
+      user,
+      apiKey,
+      tenant: user !== null || apiKey !== null ? req.get(this.tenantHeader) || null : null
+    };
+  }
+
+  // Deny entries come first, then allow entries, then the first matching
+  // rule. Returns { action: 'deny' | 'allow', name } or { action: 'limit',
+  // rule, key }, or null when nothing matches and the request is not limited.
+  evaluate(req, context) {
+    const facts = this.facts(req, context);
+
+    const denied = this.deny.find(entry => entry.matches(facts));
+    if (denied) {
+      return { action: 'deny', name: denied.name };
+    }
+    const allowed = this.allow.find(entry => entry.matches(facts));
+    if (allowed) {
+      return { action: 'allow', name: allowed.name };
+    }
+
+    const rule = this.rules.find(candidate => candidate.matches(facts));
+    if (!rule) {
+      return null;
+    }
+    const value = rule.per === PolicyKey.GLOBAL ? 'all' : facts[rule.per];
+    return { action: 'limit', rule, key: value !== null ? `${rule.per}:${value}` : `ip:${facts.ip}` };
+  }
+}
+
+export function loadRateLimitPolicy(filePath = defaultPolicyPath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const errors = validateRateLimitPolicy(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rate limit policy ${filePath}: ${errors.join('; ')}`);
+  }
+  return new RateLimitPolicy(raw);
+}
+
+// Holds the active policy and swaps it on reload; an invalid file keeps the
+// running policy, like the gateway config
+export class RateLimitPolicyManager extends EventEmitter {
+  constructor(filePath = defaultPolicyPath) {
+    super();
+    this.filePath = filePath;
+    this.version = 1;
+    this.current = loadRateLimitPolicy(filePath);
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  reload(trigger = 'manual') {
+    let next;
+    try {
+      next = loadRateLimitPolicy(this.filePath);
+    } catch (error) {
+      logger.error('Rate limit policy reload rejected, keeping current policy', {
+        trigger,
+        version: this.version,
+        error: error.message
+      });
+      return { reloaded: false, version: this.version, error: error.message };
+    }
+
+    this.current = next;
+    this.version++;
+    logger.info('Rate limit policy reloaded', { trigger, version: this.version, rules: next.rules.length });
+    this.emit('reloaded', next);
+
+    return { reloaded: true, version: this.version };
+  }
+
+  // Watches the directory, see ConfigManager.watch in the gateway
+  watch() {
+    const fileName = path.basename(this.filePath);
+
+    this.watcher = fs.watch(path.dirname(this.filePath), (eventType, changed) => {
+      if (changed !== fileName) {
+        return;
+      }
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = setTimeout(() => this.reload('file change'), 200);
+    });
+    this.watcher.unref();
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+    }
+  }
+}
@@ -1,27 +1,74 @@
-import rateLimit from 'express-rate-limit';
+import crypto from 'crypto';
 import Redis from 'ioredis';
 import { createServiceLogger } from './logger.js';
+import metrics from './metrics.js';
+import { algorithms, DEFAULT_ALGORITHM, isRateLimitAlgorithm, RateLimitAlgorithm } from './rateLimitAlgorithms.js';
+import { RateLimitPolicyManager } from './rateLimitPolicy.js';
 
 const logger = createServiceLogger('rate-limiter');
 
+const rejections = metrics.counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected with 429, by limiter',
+  labelNames: ['limiter']
+});
+
+const policyDenials = metrics.counter({
+  name: 'rate_limit_policy_denials_total',
+  help: 'Requests rejected with 403 by a rate limit policy deny entry',
+  labelNames: ['limiter', 'entry']
+});
+
+const PRUNE_INTERVAL_MS = 60000;
+
+// INCR and PEXPIREAT in one step, so a counter can't be left without expiry
+const QUOTA_SCRIPT = `
+local used = redis.call('INCR', KEYS[1])
+if used == 1 then
+  redis.call('PEXPIREAT', KEYS[1], ARGV[1])
+end
+return used
+`;
+
 class RateLimiterManager {
   constructor() {
     this.redis = null;
+    // Whether Redis is usable right now; checked on every request, so limiters
+    // created before the connection is up switch to it once it is
     this.useRedis = false;
+    this.redisFailureLogged = false;
+    // Algorithm state and consume() counters while Redis is unavailable
+    this.memory = new Map();
+    this.counters = new Map();
+    // Loaded from the policy file on first use, see createPolicyLimiter
+    this.policies = null;
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
     this.init();
   }
 
   async init() {
     try {
       this.redis = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
-      
-      this.redis.on('connect', () => {
+      for (const { command, script } of Object.values(algorithms)) {
+        this.redis.defineCommand(command, { numberOfKeys: 1, lua: script });
+      }
+      this.redis.defineCommand('rateLimitQuota', { numberOfKeys: 1, lua: QUOTA_SCRIPT });
+
+      this.redis.on('ready', () => {
         this.useRedis = true;
         logger.info('Connected to Redis for rate limiting');
       });
 
       this.redis.on('error', (error) => {
-        logger.warn('Redis connection failed, using in-memory rate limiting', { error: error.message });
+        if (this.useRedis || !this.redisFailureLogged) {
+          logger.warn('Redis connection failed, using in-memory rate limiting', { error: error.message });
+          this.redisFailureLogged = true;
+        }
+        this.useRedis = false;
+      });
+
+      this.redis.on('close', () => {
         this.useRedis = false;
       });
 
@@ -32,87 +79,235 @@ class RateLimiterManager {
     }
   }
 
-  createLimiter(options = {}) {
-    const defaultOptions = {
+  // Counts one request for `key` with the given algorithm; returns
+  // { allowed, limit, remaining, resetMs, retryAfterMs }. `burst` is the token
+  // bucket's size. Falls back to the in-memory state when Redis fails, so a
+  // Redis outage doesn't block traffic.
+  async hit(algorithm, key, limit, windowMs, burst = limit) {
+    const { command, hit } = algorithms[algorithm];
+    const storeKey = `ratelimit:${algorithm}:${key}`;
+
+    if (this.useRedis) {
+      try {
+        const [allowed, remaining, resetMs, retryAfterMs] =
+          await this.redis[command](storeKey, limit, windowMs, crypto.randomUUID(), burst);
+        return { allowed: allowed === 1, limit, remaining, resetMs, retryAfterMs };
+      } catch (error) {
+        logger.warn('Redis rate limit check failed, counting in memory', { key, error: error.message });
+      }
+    }
+
+    const now = Date.now();
+    const { state, ...result } = hit(this.memory.get(storeKey), limit, windowMs, now, burst);
+    this.memory.set(storeKey, state);
+    return { ...result, limit };
+  }
+
+  // Express middleware allowing `max` requests (a number, or a function of the
+  // request) per `windowMs` for each key from keyGenerator(req). `algorithm`
+  // is one of RateLimitAlgorithm, RATE_LIMIT_ALGORITHM by default; `name`
+  // labels the limiter's rejections in the metrics; onLimited(req) is called
+  // for every rejected request.
+  createLimiter({ name = 'default', onLimited, ...options } = {}) {
+    const config = {
       windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
       max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // 100 requests per window
-      message: {
-        error: 'Too many requests, please try again later.',
-        retryAfter: Math.ceil(options.windowMs / 1000) || 60
-      },
-      standardHeaders: true,
-      legacyHeaders: false,
-      handler: (req, res) => {
-        logger.warn('Rate limit exceeded', {
-          ip: req.ip,
-          userAgent: req.headers['user-agent'],
-          url: req.url,
-          method: req.method
-        });
-        
-        res.status(429).json({
-          error: 'Too many requests',
-          message: 'Rate limit exceeded. Please try again later.',
-          retryAfter: Math.ceil((options.windowMs || 60000) / 1000)
-        });
-      },
+      algorithm: process.env.RATE_LIMIT_ALGORITHM || DEFAULT_ALGORITHM,
+      keyGenerator: (req) => req.ip,
+      skip: () => false,
       ...options
     };
+    if (!isRateLimitAlgorithm(config.algorithm)) {
+      throw new Error(`Unknown rate limit algorithm "${config.algorithm}" for limiter ${name}`);
+    }
 
-    if (this.useRedis) {
-      // Redis-based distributed rate limiting
-      defaultOptions.store = {
-        incr: async (key) => {
-          const current = await this.redis.incr(key);
-          if (current === 1) {
-            await this.redis.expire(key, Math.ceil(defaultOptions.windowMs / 1000));
-          }
-          return { totalHits: current, resetTime: new Date(Date.now() + defaultOptions.windowMs) };
-        },
-        decrement: async (key) => {
-          const current = await this.redis.decr(key);
-          return { totalHits: Math.max(0, current) };
-        },
-        resetKey: async (key) => {
-          await this.redis.del(key);
+    return async (req, res, next) => {
+      let limit;
+      let key;
+      try {
+        if (await config.skip(req, res)) {
+          return next();
         }
-      };
+        limit = typeof config.max === 'function' ? await config.max(req, res) : config.max;
+        key = await config.keyGenerator(req, res);
+      } catch (error) {
+        logger.error('Rate limit check failed', { limiter: name, error: error.message });
+        return next();
+      }
+      return this.limit(req, res, next, {
+        name,
+        key: `${name}:${key}`,
+        algorithm: config.algorithm,
+        limit,
+        windowMs: config.windowMs,
+        onLimited
+      });
+    };
+  }
+
+  // Limits the request by the rate limit policy file (rateLimitPolicy.js):
+  // denied callers get a 403, allowed ones pass, others are counted by the
+  // first matching rule. `name` is the service the policy's `services` match
+  // on; routeOf(req, res) gives the gateway route for `routes`.
+  createPolicyLimiter({ name, routeOf = () => null, onLimited } = {}) {
+    if (!this.policies) {
+      this.policies = new RateLimitPolicyManager();
+      this.policies.watch();
+      logger.info('Rate limit policy loaded', { filePath: this.policies.filePath });
     }
 
-    return rateLimit(defaultOptions);
-  }
+    return async (req, res, next) => {
+      let decision;
+      try {
+        decision = this.policies.current.evaluate(req, { service: name, route: routeOf(req, res) });
+      } catch (error) {
+        logger.error('Rate limit policy check failed', { limiter: name, error: error.message });
+        return next();
+      }
 
-  // Service-specific rate limiters
-  createServiceLimiter(serviceName, options = {}) {
-    return this.createLimiter({
-      ...options,
-      keyGenerator: (req) => `${serviceName}:${req.ip}`,
-      skip: (req) => {
-        // Skip rate limiting for health checks
-        return req.path === '/health';
+      if (!decision || decision.action === 'allow') {
+        return next();
+      }
+      if (decision.action === 'deny') {
+        policyDenials.inc({ limiter: name, entry: decision.name });
+        logger.warn('Request denied by rate limit policy', { limiter: name, entry: decision.name, ip: req.ip, url: req.url });
+        return res.status(403).json({ error: 'Forbidden', message: 'Requests from this client are not accepted.' });
       }
+
+      const { rule, key } = decision;
+      return this.limit(req, res, next, {
+        name: `${name}:${rule.name}`,
+        key: `${name}:${rule.name}:${key}`,
+        algorithm: rule.algorithm || process.env.RATE_LIMIT_ALGORITHM || DEFAULT_ALGORITHM,
+        limit: rule.limit,
+        windowMs: rule.windowMs,
+        burst: rule.burst,
+        onLimited
+      });
+    };
+  }
+
+  // Counts the request and sets the RateLimit headers; answers 429 with
+  // Retry-After when the limit is reached
+  async limit(req, res, next, { name, key, algorithm, limit, windowMs, burst = null, onLimited }) {
+    let result;
+    try {
+      result = await this.hit(algorithm, key, limit, windowMs, burst || limit);
+    } catch (error) {
+      // Fail open: an unavailable limiter shouldn't take the service down
+      logger.error('Rate limit check failed', { limiter: name, error: error.message });
+      return next();
+    }
+
+    // IETF draft RateLimit header fields
+    res.set({
+      'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}${burst ? `;burst=${burst}` : ''}`,
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+    });
+    req.rateLimit = result;
+
+    if (result.allowed) {
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    rejections.inc({ limiter: name });
+    onLimited?.(req);
+    logger.warn('Rate limit exceeded', {
+      limiter: name,
+      algorithm,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      url: req.url,
+      method: req.method
+    });
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      error: 'Too many requests',
+      message: 'Rate limit exceeded. Please try again later.',
+      retryAfter
     });
   }
 
-  // API Gateway rate limiter (more restrictive)
-  createGatewayLimiter() {
-    return this.createLimiter({
-      windowMs: 60000, // 1 minute
-      max: 200, // 200 requests per minute per IP
-      keyGenerator: (req) => `gateway:${req.ip}`,
-      skip: (req) => {
-        return req.path === '/health' || req.path === '/api/gateway/stats';
+  // Counts one use of `key` in a fixed window ending at resetAt (epoch ms),
+  // e.g. a daily quota. Returns { allowed, used, limit, remaining, resetAt }.
+  // In-memory counts start over when the process restarts.
+  async consume(key, limit, resetAt) {
+    let used = null;
+    if (this.useRedis) {
+      try {
+        used = await this.redis.rateLimitQuota(key, resetAt);
+      } catch (error) {
+        logger.warn('Redis quota counter failed, counting in memory', { key, error: error.message });
+        used = null;
+      }
+    }
+
+    if (used === null) {
+      let counter = this.counters.get(key);
+      if (!counter || counter.resetAt <= Date.now()) {
+        counter = { count: 0, resetAt };
+        this.counters.set(key, counter);
       }
+      used = ++counter.count;
+    }
+
+    return { allowed: used <= limit, used, limit, remaining: Math.max(0, limit - used), resetAt };
+  }
+
+  // Drops in-memory state that has expired
+  prune(now = Date.now()) {
+    for (const [key, state] of this.memory.entries()) {
+      if (state.expiresAt <= now) {
+        this.memory.delete(key);
+      }
+    }
+    for (const [key, counter] of this.counters.entries()) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+
+  // Service-specific rate limiters, by the policy's rules for the service
+  createServiceLimiter(serviceName) {
+    return this.createPolicyLimiter({ name: serviceName });
+  }
+
+  // API Gateway rate limiter; routeOf(req, res) names the route of proxied
+  // requests so that policy rules can match on it
+  createGatewayLimiter(routeOf) {
+    return this.createPolicyLimiter({ name: 'gateway', routeOf });
+  }
+
+  // Per API key limiter: the key's own requests per minute, or
+  // API_KEY_RATE_LIMIT for keys without one. A token bucket by default, so
+  // partners can burst up to the per-minute limit. Requests without a key pass.
+  createApiKeyLimiter({ onLimited } = {}) {
+    return this.createLimiter({
+      windowMs: 60000,
+      algorithm: process.env.API_KEY_RATE_LIMIT_ALGORITHM || RateLimitAlgorithm.TOKEN_BUCKET,
+      max: (req) => req.apiKey.rateLimit || parseInt(process.env.API_KEY_RATE_LIMIT) || 600,
+      name: 'api-key',
+      onLimited,
+      keyGenerator: (req) => `apikey:${req.apiKey.id}`,
+      skip: (req) => !req.apiKey
     });
   }
 
-  // Per-user rate limiter (requires authentication)
+  // Per-user rate limiter; req.user is the verified identity set by the
+  // gateway's token check or by readIdentity (shared/identity.js) in services,
+  // never a header the client chose
   createUserLimiter() {
     return this.createLimiter({
       windowMs: 60000,
       max: 1000, // Higher limit for authenticated users
+      name: 'user',
       keyGenerator: (req) => {
-        const userId = req.headers['x-user-id'] || req.ip;
+        const userId = req.user?.id || req.ip;
         return `user:${userId}`;
       }
     });
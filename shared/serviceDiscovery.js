@@ -1,13 +1,64 @@
 import consul from 'consul';
 import { createServiceLogger } from './logger.js';
+import { probeHealth } from './healthProbe.js';
+import messageQueue from './messageQueue.js';
+import InstanceRegistry from './instanceRegistry.js';
+import { filterInstances, filterToQuery } from './instanceFilter.js';
 
 const logger = createServiceLogger('service-discovery');
 
+// Where the gateway serves the fallback registry; an empty REGISTRY_URL keeps
+// registrations in this process only
+const DEFAULT_REGISTRY_URL = 'http://localhost:3001';
+const REGISTRY_TIMEOUT_MS = 5000;
+
+// Admin states an instance can be put in; only active instances get new requests
+export const InstanceState = {
+  ACTIVE: 'active',
+  DRAINING: 'draining',
+  DISABLED: 'disabled'
+};
+
+// Where and what this process is, for processes that don't pass it to registerService
+function instanceDetailsFromEnv() {
+  return {
+    address: process.env.SERVICE_ADDRESS || 'localhost',
+    version: process.env.SERVICE_VERSION || null,
+    zone: process.env.SERVICE_ZONE || null,
+    tags: (process.env.SERVICE_TAGS || '').split(',').map(tag => tag.trim()).filter(Boolean)
+  };
+}
+
+function addressKey(instance) {
+  return `${instance.address}:${instance.port}`;
+}
+
 class ServiceDiscovery {
   constructor() {
     this.consul = null;
-    this.services = new Map(); // Fallback in-memory registry
+    // Fallback in-memory registry. It lives in the process that serves it
+    // (the gateway); everyone else uses it over HTTP at registryUrl.
+    this.registry = new InstanceRegistry();
+    this.registry.on('registered', instance => this.publishRegistration('service.registered', instance));
+    this.registry.on('deregistered', instance => this.publishRegistration('service.deregistered', instance));
+    this.registry.on('expired', (instance) => {
+      logger.warn('Instance registration expired, no heartbeat received', { service: instance.service, id: instance.id });
+      this.publishRegistration('service.deregistered', instance, 'expired');
+    });
+    this.registryUrl = process.env.REGISTRY_URL ?? DEFAULT_REGISTRY_URL;
+    this.registryTtlMs = parseInt(process.env.REGISTRY_TTL_MS) || 30000;
+    // Registrations this process made over HTTP, renewed by heartbeats
+    this.remoteRegistrations = new Map();
+    // Admin overrides by "address:port", applied on top of either registry;
+    // kept in memory, so they last until this process restarts
+    this.overrides = new Map();
     this.useConsul = false;
+    // Fallback health checks: consecutive results needed to flip an instance
+    this.healthCheckOptions = {
+      timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000,
+      healthyThreshold: parseInt(process.env.HEALTH_CHECK_HEALTHY_THRESHOLD) || 2,
+      unhealthyThreshold: parseInt(process.env.HEALTH_CHECK_UNHEALTHY_THRESHOLD) || 3
+    };
     this.init();
   }
 
@@ -30,14 +81,25 @@ class ServiceDiscovery {
     }
   }
 
-  async registerService(name, id, port, health = {}) {
+  // details is { address, version, zone, tags }; missing fields come from
+  // SERVICE_ADDRESS, SERVICE_VERSION, SERVICE_ZONE and SERVICE_TAGS (comma-separated)
+  async registerService(name, id, port, health = {}, meta = {}, details = {}) {
+    const { address, version, zone, tags } = { ...instanceDetailsFromEnv(), ...details };
     const service = {
       id,
       name,
       port,
-      address: 'localhost',
+      address,
+      tags,
+      // Consul only accepts string metadata values; it has no version or zone
+      // fields, so those travel as metadata
+      meta: {
+        ...Object.fromEntries(Object.entries(meta).map(([key, value]) => [key, String(value)])),
+        ...(version && { version }),
+        ...(zone && { zone })
+      },
       check: {
-        http: `http://localhost:${port}/health`,
+        http: `http://${address}:${port}/health/ready`,
         interval: '10s',
         timeout: '5s',
         ...health
@@ -47,67 +109,252 @@ class ServiceDiscovery {
     if (this.useConsul) {
       try {
         await this.consul.agent.service.register(service);
-        logger.info('Service registered with Consul', { service: name, id, port });
+        logger.info('Service registered with Consul', { service: name, id, address, port, version, zone, tags });
+        await messageQueue.publishEvent('service.registered', {
+          service: name,
+          id,
+          address,
+          port,
+          meta: service.meta,
+          tags,
+          version,
+          zone
+        });
+        return;
       } catch (error) {
         logger.error('Failed to register service with Consul', { error: error.message });
-        this.fallbackRegister(name, id, port);
       }
-    } else {
-      this.fallbackRegister(name, id, port);
     }
-  }
 
-  fallbackRegister(name, id, port) {
-    if (!this.services.has(name)) {
-      this.services.set(name, []);
-    }
-    
-    const instances = this.services.get(name);
-    const existingIndex = instances.findIndex(instance => instance.id === id);
-    
-    const serviceInstance = {
+    // The registry publishes service.registered itself
+    await this.fallbackRegister({
+      service: name,
       id,
-      address: 'localhost',
+      address,
       port,
-      healthy: true,
-      lastCheck: new Date()
+      meta: service.meta,
+      tags,
+      version,
+      zone,
+      checkUrl: service.check.http
+    });
+  }
+
+  // Called by the process that serves the registry API: registrations stay in
+  // this process and leases start expiring
+  serveRegistry() {
+    this.registryUrl = null;
+    this.registry.startExpiry();
+    return this.registry;
+  }
+
+  async publishRegistration(eventName, instance, reason) {
+    await messageQueue.publishEvent(eventName, {
+      service: instance.service,
+      id: instance.id,
+      address: instance.address,
+      port: instance.port,
+      meta: instance.meta,
+      tags: instance.tags,
+      version: instance.version,
+      zone: instance.zone,
+      ...(reason && { reason })
+    });
+  }
+
+  async fallbackRegister(registration) {
+    if (this.registryUrl) {
+      return this.registerRemote(registration);
+    }
+
+    const { service, id, address, port, version, zone, tags } = this.registry.register(registration);
+    logger.info('Service registered in fallback registry', { service, id, address, port, version, zone, tags });
+  }
+
+  registryRequest(method, path, body) {
+    return fetch(`${this.registryUrl.replace(/\/$/, '')}/api/registry${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.REGISTRY_TOKEN && { Authorization: `Bearer ${process.env.REGISTRY_TOKEN}` })
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REGISTRY_TIMEOUT_MS)
+    });
+  }
+
+  async registerRemote(registration) {
+    if (!process.env.REGISTRY_TOKEN) {
+      logger.warn('REGISTRY_TOKEN is not set, the gateway registry only accepts this registration from its own host', { id: registration.id });
+    }
+    const entry = this.remoteRegistrations.get(registration.id) || { registered: false, failing: false, timer: null };
+    entry.registration = registration;
+    this.remoteRegistrations.set(registration.id, entry);
+
+    if (!entry.timer) {
+      // A third of the TTL, so one lost heartbeat doesn't expire the lease
+      entry.timer = setInterval(() => this.heartbeat(entry), this.registryTtlMs / 3);
+      entry.timer.unref();
+    }
+    await this.sendRegistration(entry);
+  }
+
+  async sendRegistration(entry) {
+    const { registration } = entry;
+    try {
+      const response = await this.registryRequest('PUT', `/instances/${encodeURIComponent(registration.id)}`, {
+        ...registration,
+        ttlMs: this.registryTtlMs
+      });
+      if (!response.ok) {
+        throw new Error(`registry answered ${response.status}`);
+      }
+      entry.registered = true;
+      entry.failing = false;
+      logger.info('Service registered with registry', { service: registration.service, id: registration.id, registry: this.registryUrl });
+    } catch (error) {
+      // The heartbeat timer keeps trying until the registry is reachable
+      if (!entry.failing) {
+        logger.warn('Failed to register with registry, retrying', { id: registration.id, registry: this.registryUrl, error: error.message });
+      }
+      entry.failing = true;
+    }
+  }
+
+  async heartbeat(entry) {
+    if (!entry.registered) {
+      return this.sendRegistration(entry);
+    }
+
+    const { id } = entry.registration;
+    try {
+      const response = await this.registryRequest('PUT', `/instances/${encodeURIComponent(id)}/heartbeat`);
+      if (response.status === 404) {
+        // Expired while we couldn't reach the registry, or the registry restarted
+        logger.warn('Registry no longer knows this instance, registering again', { id });
+        entry.registered = false;
+        return this.sendRegistration(entry);
+      }
+      if (!response.ok) {
+        throw new Error(`registry answered ${response.status}`);
+      }
+      entry.failing = false;
+    } catch (error) {
+      if (!entry.failing) {
+        logger.warn('Registry heartbeat failed', { id, registry: this.registryUrl, error: error.message });
+      }
+      entry.failing = true;
+    }
+  }
+
+  // Sets the admin state and/or weight of an instance; a null weight goes
+  // back to the registered one
+  setInstanceOverride(key, { state, weight, reason } = {}) {
+    const current = this.overrides.get(key) || { state: InstanceState.ACTIVE, weight: null, reason: null };
+    const override = {
+      state: state ?? current.state,
+      weight: weight !== undefined ? weight : current.weight,
+      reason: reason !== undefined ? reason : current.reason,
+      updatedAt: new Date().toISOString()
     };
 
-    if (existingIndex >= 0) {
-      instances[existingIndex] = serviceInstance;
+    if (override.state === InstanceState.ACTIVE && override.weight === null) {
+      this.overrides.delete(key);
     } else {
-      instances.push(serviceInstance);
+      this.overrides.set(key, override);
     }
+    logger.info('Instance override updated', { instance: key, ...override });
+    return this.getInstanceOverride(key);
+  }
 
-    logger.info('Service registered in fallback registry', { service: name, id, port });
+  getInstanceOverride(key) {
+    return this.overrides.get(key) || { state: InstanceState.ACTIVE, weight: null, reason: null, updatedAt: null };
   }
 
-  async discoverServices(serviceName) {
+  getInstanceOverrides() {
+    return Object.fromEntries(this.overrides.entries());
+  }
+
+  // Copies of the given instances with their admin state and weight override
+  applyOverrides(instances) {
+    return instances.map((instance) => {
+      const override = this.getInstanceOverride(addressKey(instance));
+      return {
+        ...instance,
+        adminState: override.state,
+        meta: override.weight !== null ? { ...instance.meta, weight: String(override.weight) } : instance.meta
+      };
+    });
+  }
+
+  // Healthy instances of a service; filter ({ tags, version, zone }, see
+  // instanceFilter.js) narrows them in either registry
+  async discoverServices(serviceName, filter = null) {
+    return this.applyOverrides(await this.lookupServices(serviceName, filter));
+  }
+
+  async lookupServices(serviceName, filter = null) {
     if (this.useConsul) {
       try {
         const services = await this.consul.health.service({
           service: serviceName,
-          passing: true
+          passing: true,
+          // Consul filters on one tag itself, the rest is done here
+          ...(filter?.tags?.length > 0 && { tag: filter.tags[0] })
         });
         
-        return services.map(service => ({
-          id: service.Service.ID,
-          address: service.Service.Address,
-          port: service.Service.Port,
-          healthy: true
-        }));
+        return filterInstances(services.map(service => {
+          const meta = service.Service.Meta || {};
+          return {
+            id: service.Service.ID,
+            address: service.Service.Address,
+            port: service.Service.Port,
+            meta,
+            tags: service.Service.Tags || [],
+            version: meta.version || null,
+            zone: meta.zone || null,
+            healthy: true
+          };
+        }), filter);
       } catch (error) {
         logger.error('Failed to discover services from Consul', { error: error.message });
-        return this.fallbackDiscover(serviceName);
+        return this.fallbackDiscover(serviceName, filter);
       }
     } else {
-      return this.fallbackDiscover(serviceName);
+      return this.fallbackDiscover(serviceName, filter);
+    }
+  }
+
+  async fallbackDiscover(serviceName, filter = null) {
+    if (!this.registryUrl) {
+      return this.registry.list(serviceName, filter).filter(instance => instance.healthy);
+    }
+
+    try {
+      const query = filter ? filterToQuery(filter) : '';
+      const response = await this.registryRequest('GET', `/services/${encodeURIComponent(serviceName)}${query && `?${query}`}`);
+      if (!response.ok) {
+        throw new Error(`registry answered ${response.status}`);
+      }
+      const { instances } = await response.json();
+      return instances.filter(instance => instance.healthy);
+    } catch (error) {
+      logger.error('Failed to discover services from registry', { service: serviceName, error: error.message });
+      return [];
     }
   }
 
-  fallbackDiscover(serviceName) {
-    const instances = this.services.get(serviceName) || [];
-    return instances.filter(instance => instance.healthy);
+  // Whether this process has a registration for the given instance id
+  async isRegistered(id) {
+    if (this.useConsul) {
+      const services = await this.consul.agent.service.list();
+      return Object.prototype.hasOwnProperty.call(services, id);
+    }
+
+    if (this.registryUrl) {
+      return this.remoteRegistrations.get(id)?.registered === true;
+    }
+    return this.registry.get(id) !== null;
   }
 
   async deregisterService(id) {
@@ -115,42 +362,65 @@ class ServiceDiscovery {
       try {
         await this.consul.agent.service.deregister(id);
         logger.info('Service deregistered from Consul', { id });
+        await messageQueue.publishEvent('service.deregistered', { service: null, id });
       } catch (error) {
         logger.error('Failed to deregister service from Consul', { error: error.message });
       }
     }
 
-    // Also remove from fallback registry
-    for (const [serviceName, instances] of this.services.entries()) {
-      const index = instances.findIndex(instance => instance.id === id);
-      if (index >= 0) {
-        instances.splice(index, 1);
-        logger.info('Service deregistered from fallback registry', { id });
-        break;
+    // Also remove from the fallback registry, which publishes service.deregistered
+    const remote = this.remoteRegistrations.get(id);
+    if (remote) {
+      clearInterval(remote.timer);
+      this.remoteRegistrations.delete(id);
+      try {
+        const response = await this.registryRequest('DELETE', `/instances/${encodeURIComponent(id)}`);
+        if (!response.ok && response.status !== 404) {
+          throw new Error(`registry answered ${response.status}`);
+        }
+        logger.info('Service deregistered from registry', { id });
+      } catch (error) {
+        logger.error('Failed to deregister service from registry', { id, error: error.message });
       }
+    } else if (this.registry.deregister(id)) {
+      logger.info('Service deregistered from fallback registry', { id });
     }
   }
 
   async healthCheck() {
     if (!this.useConsul) {
       // Perform health checks for fallback registry
-      for (const [serviceName, instances] of this.services.entries()) {
-        for (const instance of instances) {
-          try {
-            const response = await fetch(`http://${instance.address}:${instance.port}/health`);
-            instance.healthy = response.ok;
-            instance.lastCheck = new Date();
-          } catch (error) {
+      const { timeoutMs, healthyThreshold, unhealthyThreshold } = this.healthCheckOptions;
+      
+      await Promise.all(this.registry.list().map(async (instance) => {
+        const serviceName = instance.service;
+        const result = await probeHealth(instance.checkUrl, { timeoutMs });
+        instance.lastCheck = new Date();
+        
+        if (result.healthy) {
+          instance.consecutiveFailures = 0;
+          instance.consecutiveSuccesses++;
+          if (!instance.healthy && instance.consecutiveSuccesses >= healthyThreshold) {
+            instance.healthy = true;
+            instance.unhealthyReason = null;
+            logger.info('Instance healthy again', { service: serviceName, instance: instance.id });
+          }
+        } else {
+          instance.consecutiveSuccesses = 0;
+          instance.consecutiveFailures++;
+          logger.warn('Health check failed', {
+            service: serviceName,
+            instance: instance.id,
+            error: result.reason,
+            consecutiveFailures: instance.consecutiveFailures
+          });
+          if (instance.healthy && instance.consecutiveFailures >= unhealthyThreshold) {
             instance.healthy = false;
-            instance.lastCheck = new Date();
-            logger.warn('Health check failed', { 
-              service: serviceName, 
-              instance: instance.id, 
-              error: error.message 
-            });
+            instance.unhealthyReason = result.reason;
+            logger.warn('Instance marked unhealthy', { service: serviceName, instance: instance.id, reason: result.reason });
           }
         }
-      }
+      }));
     }
   }
 
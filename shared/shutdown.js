@@ -0,0 +1,125 @@
+import { createServiceLogger } from './logger.js';
+
+const DEFAULT_DRAIN_TIMEOUT_MS = 30000;
+const DEFAULT_STEP_TIMEOUT_MS = 5000;
+const PROGRESS_INTERVAL_MS = 1000;
+
+function withTimeout(promise, timeoutMs, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Drains an HTTP server on SIGTERM/SIGINT instead of exiting mid-request:
+//
+//   1. mark the instance not ready (health.setReady(false))
+//   2. deregister from service discovery
+//   3. stop accepting connections and call the onDrain hooks, which should
+//      end long-lived responses such as event streams
+//   4. wait for in-flight requests, up to drainTimeoutMs
+//   5. run the cleanup steps in order (flush queues, close databases)
+//   6. exit, with status 1 if any step failed
+//
+// A second signal while draining exits immediately.
+export function registerGracefulShutdown(server, options = {}) {
+  const {
+    serviceName = 'service',
+    health,
+    deregister,
+    steps = [],
+    onDrain = [],
+    drainTimeoutMs = parseInt(process.env.DRAIN_TIMEOUT_MS) || DEFAULT_DRAIN_TIMEOUT_MS,
+    stepTimeoutMs = DEFAULT_STEP_TIMEOUT_MS
+  } = options;
+
+  const logger = options.logger || createServiceLogger(serviceName);
+  let inFlight = 0;
+  let draining = false;
+
+  server.on('request', (req, res) => {
+    inFlight++;
+    if (draining) {
+      // Don't keep the connection alive for another request
+      res.setHeader('Connection', 'close');
+    }
+    res.on('close', () => {
+      inFlight--;
+    });
+  });
+
+  async function waitForInFlight() {
+    const deadline = Date.now() + drainTimeoutMs;
+
+    while (inFlight > 0 && Date.now() < deadline) {
+      logger.info('Draining in-flight requests', { inFlight, remainingMs: deadline - Date.now() });
+      server.closeIdleConnections();
+      await new Promise(resolve => setTimeout(resolve, Math.min(PROGRESS_INTERVAL_MS, deadline - Date.now())));
+    }
+
+    if (inFlight > 0) {
+      logger.warn('Drain deadline reached, closing remaining connections', { inFlight, drainTimeoutMs });
+      server.closeAllConnections();
+      return false;
+    }
+
+    // Keep-alive connections that went idle after the last request
+    server.closeIdleConnections();
+    return true;
+  }
+
+  async function runStep(name, run) {
+    try {
+      await withTimeout(Promise.resolve().then(run), stepTimeoutMs, name);
+      logger.info('Shutdown step completed', { step: name });
+      return true;
+    } catch (error) {
+      logger.error('Shutdown step failed', { step: name, error: error.message });
+      return false;
+    }
+  }
+
+  async function shutdown(signal) {
+    if (draining) {
+      logger.warn('Received second signal while draining, exiting now', { signal });
+      process.exit(1);
+    }
+    draining = true;
+
+    const start = Date.now();
+    logger.info('Received signal, draining', { signal, inFlight, drainTimeoutMs });
+
+    health?.setReady(false);
+
+    let ok = true;
+    if (deregister) {
+      ok = await runStep('deregister', deregister) && ok;
+    }
+
+    const closed = new Promise(resolve => server.close(resolve));
+    logger.info('Stopped accepting connections', { inFlight });
+    for (const hook of onDrain) {
+      hook();
+    }
+    const drained = await waitForInFlight();
+    await closed;
+    logger.info('Drain finished', { drained, elapsedMs: Date.now() - start });
+
+    for (const step of steps) {
+      ok = await runStep(step.name, step.run) && ok;
+    }
+
+    logger.info('Shutdown complete', { signal, elapsedMs: Date.now() - start, clean: ok && drained });
+    process.exit(ok ? 0 : 1);
+  }
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  return {
+    shutdown,
+    inFlight: () => inFlight,
+    isDraining: () => draining
+  };
+}
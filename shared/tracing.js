@@ -0,0 +1,335 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { performance } from 'perf_hooks';
+import { createServiceLogger } from './logger.js';
+
+const logger = createServiceLogger('tracing');
+
+// OTLP span kinds
+export const SpanKind = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5
+};
+
+export const StatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+const EXPORT_INTERVAL_MS = 5000;
+const MAX_BATCH_SIZE = 512;
+// Spans are dropped beyond this when the exporter can't keep up
+const MAX_QUEUE_SIZE = 4096;
+
+function nowUnixNano() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+function toAttributeValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (Number.isInteger(value)) {
+    return { intValue: String(value) };
+  }
+  if (typeof value === 'number') {
+    return { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAttributeValue(value) }));
+}
+
+class Span {
+  constructor(tracer, name, { kind = SpanKind.INTERNAL, attributes = {}, parent = null, sampled = true }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = kind;
+    this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.traceState = parent?.traceState || null;
+    this.sampled = parent ? parent.sampled : sampled;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: StatusCode.UNSET };
+    this.startTime = nowUnixNano();
+    this.endTime = null;
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, attributes, time: nowUnixNano() });
+    return this;
+  }
+
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error.code || error.name,
+      'exception.message': error.message
+    });
+    this.setStatus(StatusCode.ERROR, error.message);
+    return this;
+  }
+
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  end() {
+    if (this.endTime !== null) {
+      return;
+    }
+    this.endTime = nowUnixNano();
+    if (this.sampled) {
+      this.tracer.enqueue(this);
+    }
+  }
+
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId && { parentSpanId: this.parentSpanId }),
+      ...(this.traceState && { traceState: this.traceState }),
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: String(this.startTime),
+      endTimeUnixNano: String(this.endTime),
+      attributes: toAttributes(this.attributes),
+      events: this.events.map(event => ({
+        timeUnixNano: String(event.time),
+        name: event.name,
+        attributes: toAttributes(event.attributes)
+      })),
+      status: this.status
+    };
+  }
+}
+
+// W3C trace context propagation and spans exported as OTLP/JSON, either
+// POSTed to a collector (OTEL_EXPORTER_OTLP_ENDPOINT) or appended to a file
+// (TRACE_EXPORT_FILE, one export request per line). The file is never
+// rotated, so it is only written when asked for; with neither set, trace
+// context is still propagated but spans are not kept.
+class Tracer {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.serviceName = process.env.SERVICE_NAME || 'unknown';
+    this.enabled = process.env.TRACING_ENABLED !== 'false';
+    this.sampleRatio = process.env.TRACE_SAMPLE_RATIO !== undefined
+      ? parseFloat(process.env.TRACE_SAMPLE_RATIO)
+      : 1;
+    this.endpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT || null;
+    this.exportFile = process.env.TRACE_EXPORT_FILE || null;
+    this.queue = [];
+    this.exporting = Promise.resolve();
+    this.timer = null;
+  }
+
+  // The context active for the current request, queue job or other async flow
+  currentContext() {
+    return this.storage.getStore() || null;
+  }
+
+  currentSpan() {
+    return this.currentContext()?.span || null;
+  }
+
+  currentRequestId() {
+    return this.currentContext()?.requestId || null;
+  }
+
+  // `parent` is a span or an extracted remote context; defaults to the current span
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : this.currentSpan();
+    return new Span(this, name, {
+      ...options,
+      parent,
+      sampled: this.enabled && Math.random() < this.sampleRatio
+    });
+  }
+
+  // Runs fn with span as the current span; requestId carries over unless given
+  withSpan(span, fn, requestId = this.currentRequestId()) {
+    return this.storage.run({ span, requestId }, fn);
+  }
+
+  // Runs fn inside a new span that ends (with the error recorded) once fn settles.
+  // With childOnly the span is only created inside an existing trace.
+  async trace(name, options, fn) {
+    if (options.childOnly && !this.currentSpan()) {
+      return fn(null);
+    }
+
+    const span = this.startSpan(name, options);
+    try {
+      return await this.withSpan(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  // Writes traceparent/tracestate for span (default: the current span) into a headers object
+  inject(carrier, span = this.currentSpan()) {
+    if (!span) {
+      return carrier;
+    }
+    carrier.traceparent = `00-${span.traceId}-${span.spanId}-${span.sampled ? '01' : '00'}`;
+    if (span.traceState) {
+      carrier.tracestate = span.traceState;
+    } else {
+      delete carrier.tracestate;
+    }
+    return carrier;
+  }
+
+  // Parses traceparent/tracestate from a headers object; null when absent or invalid
+  extract(carrier) {
+    const match = TRACEPARENT_PATTERN.exec(String(carrier?.traceparent || '').trim().toLowerCase());
+    if (!match) {
+      return null;
+    }
+
+    const [, version, traceId, spanId, flags] = match;
+    if (version === 'ff' || traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+      return null;
+    }
+
+    return {
+      traceId,
+      spanId,
+      sampled: (parseInt(flags, 16) & 1) === 1,
+      traceState: carrier.tracestate ? String(carrier.tracestate) : null
+    };
+  }
+
+  // Express middleware: one server span per request, continuing the caller's
+  // trace when it sent a traceparent. Mount after the request logger so the
+  // request id is known.
+  createMiddleware(serviceName) {
+    this.serviceName = serviceName;
+
+    return (req, res, next) => {
+      const span = this.startSpan(`${req.method} ${req.path}`, {
+        kind: SpanKind.SERVER,
+        parent: this.extract(req.headers),
+        attributes: {
+          'http.request.method': req.method,
+          'url.path': req.path,
+          'client.address': req.ip,
+          'user_agent.original': req.headers['user-agent'],
+          'request.id': req.requestId
+        }
+      });
+      req.traceId = span.traceId;
+
+      res.once('close', () => {
+        // Name by route template once routing is done, as with the metrics
+        const route = res.locals.metricsRoute || (req.route && `${req.baseUrl}${req.route.path}`);
+        if (route) {
+          span.name = `${req.method} ${route}`;
+          span.setAttribute('http.route', route);
+        }
+        span.setAttribute('http.response.status_code', res.statusCode);
+        if (res.statusCode >= 500) {
+          span.setStatus(StatusCode.ERROR);
+        }
+        span.end();
+      });
+
+      this.withSpan(span, next, req.requestId);
+    };
+  }
+
+  enqueue(span) {
+    if (!this.enabled || (!this.endpoint && !this.exportFile) || this.queue.length >= MAX_QUEUE_SIZE) {
+      return;
+    }
+    this.queue.push(span);
+
+    if (this.queue.length >= MAX_BATCH_SIZE) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), EXPORT_INTERVAL_MS);
+      this.timer.unref();
+    }
+  }
+
+  // Exports everything queued so far; resolves once written or sent
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const spans = this.queue.splice(0);
+    if (spans.length > 0) {
+      this.exporting = this.exporting.then(() => this.export(spans));
+    }
+    return this.exporting;
+  }
+
+  async export(spans) {
+    const payload = JSON.stringify({
+      resourceSpans: [{
+        resource: {
+          attributes: toAttributes({
+            'service.name': this.serviceName,
+            'process.pid': process.pid
+          })
+        },
+        scopeSpans: [{
+          scope: { name: 'microservices-load-balancer' },
+          spans: spans.map(span => span.toOtlp())
+        }]
+      }]
+    });
+
+    try {
+      if (this.endpoint) {
+        const response = await fetch(`${this.endpoint.replace(/\/$/, '')}/v1/traces`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: payload,
+          signal: AbortSignal.timeout(5000)
+        });
+        if (!response.ok) {
+          throw new Error(`collector answered ${response.status}`);
+        }
+      } else {
+        await fs.promises.mkdir(path.dirname(this.exportFile), { recursive: true });
+        await fs.promises.appendFile(this.exportFile, `${payload}\n`);
+      }
+    } catch (error) {
+      logger.warn('Failed to export spans', { count: spans.length, error: error.message });
+    }
+  }
+}
+
+export default new Tracer();
@@ -1,39 +1,16 @@
-import React, { useState, useEffect } from 'react';
 import { Server, Users, Package, ShoppingCart, Activity, AlertCircle, CheckCircle, RefreshCw } from 'lucide-react';
 import { ServiceStats } from './components/ServiceStats';
+import { ApiKeyUsage } from './components/ApiKeyUsage';
 import { ServiceTester } from './components/ServiceTester';
 import { LoadBalancerDashboard } from './components/LoadBalancerDashboard';
 import { ProductionFeatures } from './components/ProductionFeatures';
+import { useGatewayEvents } from './hooks/useGatewayEvents';
 
 function App() {
-  const [stats, setStats] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Pushed by the gateway over Server-Sent Events instead of polled
+  const { stats, events, connected, error, reconnect } = useGatewayEvents();
 
-  const fetchStats = async () => {
-    try {
-      setIsLoading(true);
-      const response = await fetch('http://localhost:3001/api/gateway/stats');
-      if (!response.ok) {
-        throw new Error('Failed to fetch stats');
-      }
-      const data = await response.json();
-      setStats(data);
-      setError(null);
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  useEffect(() => {
-    fetchStats();
-    const interval = setInterval(fetchStats, 5000);
-    return () => clearInterval(interval);
-  }, []);
-
-  if (isLoading && !stats) {
+  if (!stats && !error) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
         <div className="text-center">
@@ -59,22 +36,22 @@ function App() {
             </div>
             <div className="flex items-center space-x-4">
               <button
-                onClick={fetchStats}
+                onClick={reconnect}
                 className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-                disabled={isLoading}
+                disabled={connected}
               >
-                <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
-                <span>Refresh</span>
+                <RefreshCw className={`h-4 w-4 ${!connected ? 'animate-spin' : ''}`} />
+                <span>Reconnect</span>
               </button>
-              {error ? (
-                <div className="flex items-center space-x-2 text-red-600">
-                  <AlertCircle className="h-5 w-5" />
-                  <span className="text-sm">Error: {error}</span>
-                </div>
-              ) : (
+              {connected ? (
                 <div className="flex items-center space-x-2 text-green-600">
                   <CheckCircle className="h-5 w-5" />
-                  <span className="text-sm">Connected</span>
+                  <span className="text-sm">Live</span>
+                </div>
+              ) : (
+                <div className="flex items-center space-x-2 text-red-600">
+                  <AlertCircle className="h-5 w-5" />
+                  <span className="text-sm">{error || 'Connecting...'}</span>
                 </div>
               )}
             </div>
@@ -144,10 +121,13 @@ function App() {
         </div>
 
         {/* Load Balancer Dashboard */}
-        {stats && <LoadBalancerDashboard stats={stats} />}
+        {stats && <LoadBalancerDashboard stats={stats} events={events} />}
 
         {/* Service Stats */}
-        {stats && <ServiceStats stats={stats} />}
+        {stats && <ServiceStats stats={stats} events={events} />}
+
+        {/* API Key Usage */}
+        <ApiKeyUsage />
 
         {/* Service Tester */}
         <ServiceTester />
@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback } from 'react';
+import { KeyRound, RefreshCw } from 'lucide-react';
+
+const GATEWAY_URL = 'http://localhost:3001';
+const ADMIN_TOKEN_KEY = 'gatewayAdminToken';
+const REFRESH_MS = 10000;
+
+interface ApiKey {
+  id: string;
+  name: string;
+  status: 'active' | 'revoked';
+  rateLimit: number | null;
+  dailyQuota: number | null;
+  lastUsedAt: string | null;
+  previousKeyExpiresAt: string | null;
+  usage: { day: string; requests: number; rejected: number };
+}
+
+// Today's usage per API key; the admin API needs the token entered under
+// Service Instance Status
+export function ApiKeyUsage() {
+  const [keys, setKeys] = useState<ApiKey[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchKeys = useCallback(async () => {
+    const token = localStorage.getItem(ADMIN_TOKEN_KEY);
+    if (!token) {
+      setKeys(null);
+      setError('Enter the admin token to see API key usage');
+      return;
+    }
+    try {
+      const response = await fetch(`${GATEWAY_URL}/api/gateway/admin/api-keys`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch API keys');
+      }
+      setKeys(data.keys);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch API keys');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchKeys();
+    const interval = setInterval(fetchKeys, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [fetchKeys]);
+
+  return (
+    <div className="mb-8">
+      <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-200">
+        <div className="flex items-center space-x-3 mb-6">
+          <KeyRound className="h-6 w-6 text-blue-600" />
+          <h2 className="text-2xl font-bold text-gray-900">API Keys</h2>
+          <button onClick={fetchKeys} className="ml-auto p-1.5 rounded-lg bg-white border border-gray-300 hover:bg-gray-100">
+            <RefreshCw className="h-4 w-4 text-gray-700" />
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-gray-600">{error}</p>}
+
+        {keys && keys.length === 0 && <p className="text-sm text-gray-600">No API keys yet</p>}
+
+        {keys && keys.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-2">Name</th>
+                <th>Key id</th>
+                <th>Status</th>
+                <th>Rate limit</th>
+                <th className="w-1/4">Today (UTC)</th>
+                <th>Rejected</th>
+                <th>Last used</th>
+              </tr>
+            </thead>
+            <tbody>
+              {keys.map((key) => {
+                const share = key.dailyQuota ? Math.min(1, key.usage.requests / key.dailyQuota) : 0;
+                return (
+                  <tr key={key.id} className="border-b border-gray-100">
+                    <td className="py-2 font-medium text-gray-900">{key.name}</td>
+                    <td className="font-mono text-xs text-gray-500">{key.id}</td>
+                    <td>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        key.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+                      }`}>
+                        {key.status}
+                      </span>
+                      {key.previousKeyExpiresAt && (
+                        <span className="ml-1 text-xs text-yellow-700">rotating</span>
+                      )}
+                    </td>
+                    <td className="text-gray-700">{key.rateLimit ? `${key.rateLimit}/min` : 'default'}</td>
+                    <td>
+                      <div className="text-gray-700">
+                        {key.usage.requests}{key.dailyQuota ? ` / ${key.dailyQuota}` : ''}
+                      </div>
+                      {key.dailyQuota && (
+                        <div className="h-1.5 bg-gray-200 rounded mt-1">
+                          <div
+                            className={`h-1.5 rounded ${share >= 1 ? 'bg-red-500' : share >= 0.8 ? 'bg-yellow-500' : 'bg-blue-500'}`}
+                            style={{ width: `${share * 100}%` }}
+                          />
+                        </div>
+                      )}
+                    </td>
+                    <td className={key.usage.rejected > 0 ? 'text-red-700 font-semibold' : 'text-gray-700'}>{key.usage.rejected}</td>
+                    <td className="text-xs text-gray-700">
+                      {key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleTimeString() : 'never'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,32 +1,50 @@
 import React from 'react';
-import { BarChart, Activity, Clock, TrendingUp } from 'lucide-react';
+import { BarChart, Activity, Clock, TrendingUp, Radio } from 'lucide-react';
+import type { GatewayEvent } from '../hooks/useGatewayEvents';
+import { LoadHistory } from './LoadHistory';
 
 interface LoadBalancerDashboardProps {
   stats: any;
+  events?: GatewayEvent[];
 }
 
-export function LoadBalancerDashboard({ stats }: LoadBalancerDashboardProps) {
-  const getTotalRequests = () => {
-    let total = 0;
-    Object.values(stats.services).forEach((serviceInstances: any) => {
-      serviceInstances.forEach((instance: any) => {
-        total += instance.requests || 0;
-      });
-    });
-    return total;
-  };
+const eventStyles: Record<string, string> = {
+  healthy: 'bg-green-100 text-green-800',
+  registered: 'bg-green-100 text-green-800',
+  closed: 'bg-green-100 text-green-800',
+  'half-open': 'bg-yellow-100 text-yellow-800',
+  unhealthy: 'bg-red-100 text-red-800',
+  ejected: 'bg-red-100 text-red-800',
+  open: 'bg-red-100 text-red-800',
+  deregistered: 'bg-gray-100 text-gray-700',
+  active: 'bg-green-100 text-green-800',
+  draining: 'bg-yellow-100 text-yellow-800',
+  disabled: 'bg-gray-100 text-gray-700'
+};
 
-  const getHealthyServices = () => {
-    let healthy = 0;
-    let total = 0;
-    Object.values(stats.services).forEach((serviceInstances: any) => {
-      serviceInstances.forEach((instance: any) => {
-        total++;
-        if (instance.healthy) healthy++;
-      });
-    });
-    return { healthy, total };
-  };
+function describeEvent(event: GatewayEvent) {
+  const { data } = event;
+  switch (event.type) {
+    case 'breaker':
+      return { label: String(data.to), text: `Circuit breaker for ${data.instance}: ${data.from} → ${data.to} (${data.reason})` };
+    case 'instance':
+      return { label: String(data.state), text: `${data.service} instance ${data.instance} set to ${data.state}${data.weight ? `, weight ${data.weight}` : ''}` };
+    case 'health':
+      return { label: String(data.event), text: `${data.service} instance ${data.instance}${data.reason ? `: ${data.reason}` : ''}` };
+    default:
+      return { label: String(data.event), text: `${data.service || 'unknown'} instance ${data.id}` };
+  }
+}
+
+export function LoadBalancerDashboard({ stats, events = [] }: LoadBalancerDashboardProps) {
+  // Per-service rollups computed by the gateway
+  const rollups = Object.values(stats.rollups || {}) as { instances: number; healthy: number; requests: number }[];
+  const getTotalRequests = () => rollups.reduce((sum, rollup) => sum + rollup.requests, 0);
+
+  const getHealthyServices = () => ({
+    healthy: rollups.reduce((sum, rollup) => sum + rollup.healthy, 0),
+    total: rollups.reduce((sum, rollup) => sum + rollup.instances, 0)
+  });
 
   const { healthy, total } = getHealthyServices();
   const totalRequests = getTotalRequests();
@@ -65,7 +83,7 @@ export function LoadBalancerDashboard({ stats }: LoadBalancerDashboardProps) {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-purple-100 text-sm font-medium">Load Distribution</p>
-                <p className="text-2xl font-bold">Round-Robin</p>
+                <p className="text-2xl font-bold">Per Service</p>
               </div>
               <BarChart className="h-8 w-8 text-purple-200" />
             </div>
@@ -84,20 +102,49 @@ export function LoadBalancerDashboard({ stats }: LoadBalancerDashboardProps) {
           </div>
         </div>
 
-        {/* Current Index Display */}
+        {/* History */}
+        <LoadHistory services={Object.keys(stats.services)} />
+
+        {/* Strategy Display */}
         <div className="bg-gray-50 rounded-lg p-4">
-          <h3 className="font-semibold text-gray-900 mb-3">Current Round-Robin Indices</h3>
+          <h3 className="font-semibold text-gray-900 mb-3">Balancing Strategies</h3>
           <div className="grid grid-cols-3 gap-4">
-            {Object.entries(stats.currentIndex).map(([service, index]) => (
+            {(Object.entries(stats.loadBalancing || {}) as [string, { strategy: string }][]).map(([service, config]) => (
               <div key={service} className="flex justify-between items-center bg-white rounded-lg p-3 border border-gray-200">
                 <span className="font-medium capitalize text-gray-700">{service} Service:</span>
                 <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-sm font-semibold">
-                  Index {index}
+                  {config.strategy}
                 </span>
               </div>
             ))}
           </div>
         </div>
+
+        {/* Live Events */}
+        <div className="bg-gray-50 rounded-lg p-4 mt-6">
+          <div className="flex items-center space-x-2 mb-3">
+            <Radio className="h-4 w-4 text-blue-600" />
+            <h3 className="font-semibold text-gray-900">Live Events</h3>
+          </div>
+          {events.length === 0 ? (
+            <p className="text-sm text-gray-500">No health, breaker, registration or admin changes yet</p>
+          ) : (
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {events.map((event) => {
+                const { label, text } = describeEvent(event);
+                return (
+                  <div key={event.id} className="flex items-center space-x-3 bg-white rounded-lg p-2 border border-gray-200 text-sm">
+                    <span className="text-gray-500 whitespace-nowrap">{new Date(event.receivedAt).toLocaleTimeString()}</span>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${eventStyles[label] || 'bg-blue-100 text-blue-800'}`}>
+                      {label}
+                    </span>
+                    <span className="text-gray-700 truncate">{text}</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
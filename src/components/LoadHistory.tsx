@@ -0,0 +1,191 @@
+import { useState, useEffect, useCallback } from 'react';
+import { LineChart, RefreshCw } from 'lucide-react';
+
+const GATEWAY_URL = 'http://localhost:3001';
+const INSTANCE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
+
+interface HistoryPoint {
+  time: number;
+  requests: number;
+  rate: number;
+  errors: number;
+  errorRate: number;
+  latency: { avg: number; p50: number; p95: number; max: number } | null;
+}
+
+interface ServiceHistory {
+  points: HistoryPoint[];
+  instances: Record<string, HistoryPoint[]>;
+}
+
+interface HistoryResponse {
+  resolution: string;
+  resolutionMs: number;
+  services: Record<string, ServiceHistory>;
+}
+
+const ranges = [
+  { label: '5 min', resolution: '1s', rangeMs: 5 * 60 * 1000, refreshMs: 5000 },
+  { label: '10 min', resolution: '1s', rangeMs: 10 * 60 * 1000, refreshMs: 5000 },
+  { label: '1 hour', resolution: '1m', rangeMs: 60 * 60 * 1000, refreshMs: 60000 },
+  { label: '24 hours', resolution: '1m', rangeMs: 24 * 60 * 60 * 1000, refreshMs: 60000 }
+];
+
+function polyline(values: (number | null)[], max: number) {
+  return values
+    .map((value, index) => (value === null ? null : `${index + 0.5},${100 - (value / max) * 100}`))
+    .filter(Boolean)
+    .join(' ');
+}
+
+interface LoadHistoryProps {
+  services: string[];
+}
+
+export function LoadHistory({ services }: LoadHistoryProps) {
+  const [service, setService] = useState(services[0] || 'user');
+  const [range, setRange] = useState(ranges[0]);
+  const [showShare, setShowShare] = useState(true);
+  const [history, setHistory] = useState<HistoryResponse | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({
+        resolution: range.resolution,
+        service,
+        from: String(Date.now() - range.rangeMs)
+      });
+      const response = await fetch(`${GATEWAY_URL}/api/gateway/stats/history?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch history');
+      }
+      setHistory(data);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch history');
+    }
+  }, [range, service]);
+
+  useEffect(() => {
+    fetchHistory();
+    const interval = setInterval(fetchHistory, range.refreshMs);
+    return () => clearInterval(interval);
+  }, [fetchHistory, range]);
+
+  const serviceHistory = history?.services[service];
+  const instances = Object.entries(serviceHistory?.instances || {});
+  const points = serviceHistory?.points || [];
+
+  // Stacked bars: requests per instance in each bucket, or each instance's share of it
+  const maxRequests = Math.max(1, ...points.map(point => point.requests));
+  const totalRequests = points.reduce((sum, point) => sum + point.requests, 0);
+  const maxLatency = Math.max(1, ...points.map(point => point.latency?.p95 || 0));
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <div className="flex items-center space-x-2">
+          <LineChart className="h-4 w-4 text-blue-600" />
+          <h3 className="font-semibold text-gray-900">Load Over Time</h3>
+        </div>
+        <div className="flex items-center space-x-2 text-sm">
+          <select
+            value={service}
+            onChange={(e) => setService(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg capitalize"
+          >
+            {services.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <select
+            value={range.label}
+            onChange={(e) => setRange(ranges.find(item => item.label === e.target.value) || ranges[0])}
+            className="px-2 py-1 border border-gray-300 rounded-lg"
+          >
+            {ranges.map(item => <option key={item.label} value={item.label}>{item.label}</option>)}
+          </select>
+          <button
+            onClick={() => setShowShare(!showShare)}
+            className="px-2 py-1 rounded-lg bg-white border border-gray-300 text-gray-700 hover:bg-gray-100"
+          >
+            {showShare ? 'Share %' : 'Requests'}
+          </button>
+          <button onClick={fetchHistory} className="p-1.5 rounded-lg bg-white border border-gray-300 hover:bg-gray-100">
+            <RefreshCw className="h-4 w-4 text-gray-700" />
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{error}</div>
+      )}
+
+      {points.length === 0 || totalRequests === 0 ? (
+        <p className="text-sm text-gray-500">No {service} traffic in the last {range.label}</p>
+      ) : (
+        <div className="space-y-4">
+          <div>
+            <p className="text-xs text-gray-600 mb-1">
+              Distribution across instances ({showShare ? 'share of each interval' : `requests per ${history?.resolution}`})
+            </p>
+            <svg viewBox={`0 0 ${points.length} 100`} preserveAspectRatio="none" className="w-full h-40 bg-white rounded border border-gray-200">
+              {points.map((point, index) => {
+                const scale = showShare ? (point.requests > 0 ? 100 / point.requests : 0) : 100 / maxRequests;
+                let offset = 100;
+                return instances.map(([instance, series], instanceIndex) => {
+                  const height = series[index].requests * scale;
+                  offset -= height;
+                  return height > 0 ? (
+                    <rect
+                      key={`${instance}-${point.time}`}
+                      x={index}
+                      y={offset}
+                      width={1}
+                      height={height}
+                      fill={INSTANCE_COLORS[instanceIndex % INSTANCE_COLORS.length]}
+                    />
+                  ) : null;
+                });
+              })}
+            </svg>
+            <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-700">
+              {instances.map(([instance, series], instanceIndex) => {
+                const requests = series.reduce((sum, point) => sum + point.requests, 0);
+                return (
+                  <span key={instance} className="flex items-center space-x-1">
+                    <span className="inline-block w-3 h-3 rounded" style={{ backgroundColor: INSTANCE_COLORS[instanceIndex % INSTANCE_COLORS.length] }} />
+                    <span className="font-mono">{instance}</span>
+                    <span>{requests} ({Math.round((requests / totalRequests) * 100)}%)</span>
+                  </span>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <p className="text-xs text-gray-600 mb-1">Latency p50 / p95 (max {maxLatency} ms)</p>
+              <svg viewBox={`0 0 ${points.length} 100`} preserveAspectRatio="none" className="w-full h-24 bg-white rounded border border-gray-200">
+                <polyline points={polyline(points.map(point => point.latency?.p50 ?? null), maxLatency)} fill="none" stroke="#3b82f6" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+                <polyline points={polyline(points.map(point => point.latency?.p95 ?? null), maxLatency)} fill="none" stroke="#f59e0b" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+              </svg>
+            </div>
+            <div>
+              <p className="text-xs text-gray-600 mb-1">Error rate (0–100%)</p>
+              <svg viewBox={`0 0 ${points.length} 100`} preserveAspectRatio="none" className="w-full h-24 bg-white rounded border border-gray-200">
+                <polyline
+                  points={polyline(points.map(point => (point.requests > 0 ? point.errorRate : null)), 1)}
+                  fill="none"
+                  stroke="#ef4444"
+                  strokeWidth={1}
+                  vectorEffect="non-scaling-stroke"
+                />
+              </svg>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
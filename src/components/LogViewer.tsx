@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, Search, Radio, RefreshCw, ChevronDown } from 'lucide-react';
+
+const GATEWAY_URL = 'http://localhost:3001';
+const ADMIN_TOKEN_KEY = 'gatewayAdminToken';
+const NO_TOKEN_ERROR = 'Enter the admin token under Service Instance Status to see logs';
+const RECONNECT_MS = 3000;
+const MAX_LIVE_ENTRIES = 500;
+const BASE_FIELDS = ['timestamp', 'level', 'service', 'requestId', 'message'];
+
+interface LogEntry {
+  timestamp: string;
+  level: string;
+  service?: string;
+  requestId?: string;
+  message: string;
+  [key: string]: unknown;
+}
+
+interface LogFilters {
+  service: string;
+  level: string;
+  requestId: string;
+  q: string;
+}
+
+const levelStyles: Record<string, string> = {
+  error: 'bg-red-100 text-red-800',
+  warn: 'bg-yellow-100 text-yellow-800',
+  info: 'bg-blue-100 text-blue-800',
+  debug: 'bg-gray-100 text-gray-700'
+};
+
+function buildParams(filters: LogFilters) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) {
+      params.set(key, value);
+    }
+  });
+  return params;
+}
+
+// Entries from the `log` events in a chunk of Server-Sent Events text
+function parseLogEvents(text: string) {
+  return text.split('\n\n')
+    .map(event => event.split('\n'))
+    .filter(lines => lines.includes('event: log'))
+    .map(lines => JSON.parse(lines.filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n')) as LogEntry);
+}
+
+function extraFields(entry: LogEntry) {
+  const rest = Object.fromEntries(Object.entries(entry).filter(([key]) => !BASE_FIELDS.includes(key)));
+  return Object.keys(rest).length > 0 ? JSON.stringify(rest) : '';
+}
+
+export function LogViewer() {
+  const [filters, setFilters] = useState<LogFilters>({ service: '', level: '', requestId: '', q: '' });
+  const [appliedFilters, setAppliedFilters] = useState<LogFilters>(filters);
+  const [logs, setLogs] = useState<LogEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [truncated, setTruncated] = useState(false);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isLive, setIsLive] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchLogs = useCallback(async (cursor?: string) => {
+    const token = localStorage.getItem(ADMIN_TOKEN_KEY);
+    if (!token) {
+      setError(NO_TOKEN_ERROR);
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const params = buildParams(appliedFilters);
+      params.set('limit', '50');
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+      const response = await fetch(`${GATEWAY_URL}/api/gateway/logs?${params}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch logs');
+      }
+      setLogs(previous => (cursor ? [...previous, ...data.logs] : data.logs));
+      setTotal(data.total);
+      setTruncated(data.truncated);
+      setNextCursor(data.nextCursor);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to fetch logs');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [appliedFilters]);
+
+  // Search again when the filters change or tailing stops
+  useEffect(() => {
+    if (!isLive) {
+      fetchLogs();
+    }
+  }, [fetchLogs, isLive]);
+
+  // Live tail over Server-Sent Events, read with fetch since EventSource
+  // can't send the admin token
+  useEffect(() => {
+    if (!isLive) {
+      return;
+    }
+    const token = localStorage.getItem(ADMIN_TOKEN_KEY);
+    if (!token) {
+      setError(NO_TOKEN_ERROR);
+      return;
+    }
+    const controller = new AbortController();
+    let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+
+    const connect = async () => {
+      let response: Response;
+      try {
+        response = await fetch(`${GATEWAY_URL}/api/gateway/logs/stream?${buildParams(appliedFilters)}`, {
+          headers: { Authorization: `Bearer ${token}` },
+          signal: controller.signal
+        });
+      } catch {
+        if (!controller.signal.aborted) {
+          setError('Live tail disconnected, reconnecting...');
+          reconnectTimer = setTimeout(connect, RECONNECT_MS);
+        }
+        return;
+      }
+      // A rejected token or bad filter won't get better by retrying
+      if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => ({}));
+        setError(data.error || 'Failed to start the live tail');
+        return;
+      }
+
+      setError(null);
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      try {
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) {
+            break;
+          }
+          buffer += value;
+          const end = buffer.lastIndexOf('\n\n');
+          if (end >= 0) {
+            const entries = parseLogEvents(buffer.slice(0, end));
+            buffer = buffer.slice(end + 2);
+            setLogs(previous => [...entries.reverse(), ...previous].slice(0, MAX_LIVE_ENTRIES));
+          }
+        }
+      } catch {
+        // Aborted or cut off; reconnect below unless the tail was stopped
+      }
+      if (!controller.signal.aborted) {
+        setError('Live tail disconnected, reconnecting...');
+        reconnectTimer = setTimeout(connect, RECONNECT_MS);
+      }
+    };
+
+    connect();
+    return () => {
+      controller.abort();
+      clearTimeout(reconnectTimer);
+    };
+  }, [appliedFilters, isLive]);
+
+  const applyFilters = (event: React.FormEvent) => {
+    event.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-200">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <FileText className="h-6 w-6 text-indigo-600" />
+          <h3 className="text-xl font-bold text-gray-900">Logs</h3>
+          {!isLive && <span className="text-sm text-gray-500">{total}{truncated ? '+' : ''} matching</span>}
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setIsLive(!isLive)}
+            className={`flex items-center space-x-2 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              isLive ? 'bg-green-600 text-white hover:bg-green-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            <Radio className={`h-4 w-4 ${isLive ? 'animate-pulse' : ''}`} />
+            <span>{isLive ? 'Live' : 'Tail'}</span>
+          </button>
+          {!isLive && (
+            <button
+              onClick={() => fetchLogs()}
+              disabled={isLoading}
+              className="p-1.5 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+            >
+              <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <form onSubmit={applyFilters} className="grid grid-cols-1 md:grid-cols-5 gap-2 mb-4">
+        <input
+          value={filters.q}
+          onChange={(e) => setFilters({ ...filters, q: e.target.value })}
+          placeholder="Search text"
+          className="md:col-span-2 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <input
+          value={filters.service}
+          onChange={(e) => setFilters({ ...filters, service: e.target.value })}
+          placeholder="Service, e.g. api-gateway"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <input
+          value={filters.requestId}
+          onChange={(e) => setFilters({ ...filters, requestId: e.target.value })}
+          placeholder="Request ID"
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        />
+        <div className="flex space-x-2">
+          <select
+            value={filters.level}
+            onChange={(e) => setFilters({ ...filters, level: e.target.value })}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          >
+            <option value="">All levels</option>
+            <option value="error">Error</option>
+            <option value="warn,error">Warn+</option>
+            <option value="info">Info</option>
+            <option value="debug">Debug</option>
+          </select>
+          <button
+            type="submit"
+            className="px-3 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+          >
+            <Search className="h-4 w-4" />
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div className="mb-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{error}</div>
+      )}
+
+      <div className="bg-gray-900 rounded-lg max-h-96 overflow-y-auto font-mono text-xs">
+        {logs.length === 0 ? (
+          <div className="text-gray-400 text-center py-8">No log entries</div>
+        ) : (
+          logs.map((entry, index) => (
+            <div key={`${entry.timestamp}-${index}`} className="flex items-start space-x-2 px-3 py-1 border-b border-gray-800 hover:bg-gray-800">
+              <span className="text-gray-500 whitespace-nowrap">{new Date(entry.timestamp).toLocaleTimeString()}</span>
+              <span className={`px-1.5 rounded uppercase ${levelStyles[entry.level] || levelStyles.debug}`}>{entry.level}</span>
+              <span className="text-indigo-300 whitespace-nowrap">{entry.service}</span>
+              <span className="text-gray-100 break-all">
+                {entry.message}
+                {entry.requestId && (
+                  <button
+                    onClick={() => {
+                      const next = { ...filters, requestId: entry.requestId as string };
+                      setFilters(next);
+                      setAppliedFilters(next);
+                    }}
+                    className="ml-2 text-green-400 hover:underline"
+                  >
+                    {entry.requestId}
+                  </button>
+                )}
+                <span className="ml-2 text-gray-500">{extraFields(entry)}</span>
+              </span>
+            </div>
+          ))
+        )}
+      </div>
+
+      {!isLive && nextCursor && (
+        <button
+          onClick={() => fetchLogs(nextCursor)}
+          disabled={isLoading}
+          className="mt-3 w-full flex items-center justify-center space-x-2 py-2 text-sm text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100 transition-colors"
+        >
+          <ChevronDown className="h-4 w-4" />
+          <span>Load older entries</span>
+        </button>
+      )}
+    </div>
+  );
+}
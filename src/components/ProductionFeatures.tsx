@@ -1,36 +1,11 @@
-import React, { useState, useEffect } from 'react';
 import { Database, MessageSquare, Shield, Activity, Server, Clock } from 'lucide-react';
+import { LogViewer } from './LogViewer';
 
 interface ProductionFeaturesProps {
   stats: any;
 }
 
 export function ProductionFeatures({ stats }: ProductionFeaturesProps) {
-  const [logs, setLogs] = useState<any[]>([]);
-  const [isLoading, setIsLoading] = useState(false);
-
-  const fetchLogs = async () => {
-    setIsLoading(true);
-    try {
-      // In a real app, this would fetch from a centralized logging service
-      const response = await fetch('http://localhost:3001/api/gateway/logs');
-      if (response.ok) {
-        const data = await response.json();
-        setLogs(data.logs || []);
-      }
-    } catch (error) {
-      console.error('Failed to fetch logs:', error);
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  useEffect(() => {
-    fetchLogs();
-    const interval = setInterval(fetchLogs, 10000); // Refresh every 10 seconds
-    return () => clearInterval(interval);
-  }, []);
-
   const getFeatureStatus = (feature: string) => {
     switch (feature) {
       case 'database':
@@ -207,6 +182,9 @@ export function ProductionFeatures({ stats }: ProductionFeaturesProps) {
         </div>
       </div>
 
+      {/* Centralized log search and live tail */}
+      <LogViewer />
+
       {/* Infrastructure Setup Instructions */}
       <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-200">
         <h3 className="text-xl font-bold text-gray-900 mb-4">Infrastructure Setup</h3>
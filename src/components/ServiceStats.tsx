@@ -1,11 +1,68 @@
-import React from 'react';
-import { Server, CheckCircle, XCircle, TrendingUp } from 'lucide-react';
+import { useState } from 'react';
+import { Server, CheckCircle, XCircle, TrendingUp, PauseCircle, Power, PlayCircle, Scale, RefreshCw } from 'lucide-react';
+import type { GatewayEvent } from '../hooks/useGatewayEvents';
 
 interface ServiceStatsProps {
   stats: any;
+  events?: GatewayEvent[];
 }
 
-export function ServiceStats({ stats }: ServiceStatsProps) {
+const GATEWAY_URL = 'http://localhost:3001';
+const ADMIN_TOKEN_KEY = 'gatewayAdminToken';
+
+export function ServiceStats({ stats, events = [] }: ServiceStatsProps) {
+  const [adminToken, setAdminToken] = useState(() => localStorage.getItem(ADMIN_TOKEN_KEY) || '');
+  const [pending, setPending] = useState<string | null>(null);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const saveAdminToken = (token: string) => {
+    setAdminToken(token);
+    localStorage.setItem(ADMIN_TOKEN_KEY, token);
+  };
+
+  // Admin actions; the resulting state arrives through the live stats stream
+  const runAction = async (instance: string, path: string, method: string, body?: Record<string, unknown>) => {
+    setPending(instance);
+    try {
+      const response = await fetch(`${GATEWAY_URL}/api/gateway/admin/instances/${instance}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${adminToken}` },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error([data.error, ...(data.details || [])].join(': '));
+      }
+      setActionError(null);
+    } catch (err) {
+      setActionError(err instanceof Error ? err.message : 'Admin action failed');
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const changeWeight = (instance: string, current: number) => {
+    const value = window.prompt(`Weight for ${instance} (empty to use the registered weight)`, String(current));
+    if (value === null) {
+      return;
+    }
+    runAction(instance, '', 'PATCH', { weight: value.trim() === '' ? null : Number(value) });
+  };
+
+  const formatLatency = (value: number | null) => (value === null ? '–' : `${value} ms`);
+
+  // Most recent health or breaker change for an instance; events are newest first
+  const getLastChange = (url: string) => {
+    const event = events.find(item => item.type !== 'service' && url.endsWith(`//${item.data.instance}`));
+    if (!event) {
+      return null;
+    }
+    const change = event.type === 'breaker'
+      ? `breaker ${event.data.to}`
+      : String(event.type === 'instance' ? event.data.state : event.data.event);
+    return `${change} at ${new Date(event.receivedAt).toLocaleTimeString()}`;
+  };
+
   const getServiceColor = (serviceName: string) => {
     const colors = {
       user: 'green',
@@ -30,8 +87,19 @@ export function ServiceStats({ stats }: ServiceStatsProps) {
         <div className="flex items-center space-x-3 mb-6">
           <Server className="h-6 w-6 text-blue-600" />
           <h2 className="text-2xl font-bold text-gray-900">Service Instance Status</h2>
+          <input
+            type="password"
+            value={adminToken}
+            onChange={(e) => saveAdminToken(e.target.value)}
+            placeholder="Admin token"
+            className="ml-auto px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
         </div>
 
+        {actionError && (
+          <div className="mb-4 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{actionError}</div>
+        )}
+
         <div className="space-y-6">
           {Object.entries(stats.services).map(([serviceName, instances]: [string, any]) => (
             <div key={serviceName} className="border border-gray-200 rounded-lg p-4">
@@ -41,12 +109,20 @@ export function ServiceStats({ stats }: ServiceStatsProps) {
                 <span className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm font-medium">
                   {instances.length} instances
                 </span>
+                {stats.rollups?.[serviceName] && (
+                  <span className="text-sm text-gray-600">
+                    p50 {formatLatency(stats.rollups[serviceName].latency.p50)} · p95 {formatLatency(stats.rollups[serviceName].latency.p95)} · {(stats.rollups[serviceName].errorRate * 100).toFixed(1)}% errors
+                  </span>
+                )}
               </div>
 
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
                 {instances.map((instance: any, index: number) => {
                   const color = getServiceColor(serviceName);
                   const port = instance.url.split(':').pop();
+                  const lastChange = getLastChange(instance.url);
+                  const adminState = instance.admin?.state || 'active';
+                  const busy = pending === instance.instance;
                   
                   return (
                     <div
@@ -77,6 +153,15 @@ export function ServiceStats({ stats }: ServiceStatsProps) {
                         </span>
                       </div>
 
+                      {adminState !== 'active' && (
+                        <div className="mb-3 px-2 py-1 rounded bg-yellow-100 text-yellow-800 text-xs font-medium">
+                          {adminState === 'disabled'
+                            ? 'Disabled'
+                            : instance.inFlight > 0 ? `Draining, ${instance.inFlight} in flight` : 'Drained'}
+                          {instance.admin.reason && ` · ${instance.admin.reason}`}
+                        </div>
+                      )}
+
                       <div className="space-y-2 text-sm">
                         <div className="flex justify-between">
                           <span className="text-gray-600">Port:</span>
@@ -89,12 +174,106 @@ export function ServiceStats({ stats }: ServiceStatsProps) {
                             <span className="font-semibold">{instance.requests || 0}</span>
                           </div>
                         </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">In flight:</span>
+                          <span className="font-semibold">{instance.inFlight ?? 0}</span>
+                        </div>
+                        {instance.latency && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Latency p50 / p95:</span>
+                            <span className="font-mono text-xs">
+                              {formatLatency(instance.latency.p50)} / {formatLatency(instance.latency.p95)}
+                            </span>
+                          </div>
+                        )}
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Error rate:</span>
+                          <span className="font-semibold">{((instance.errorRate || 0) * 100).toFixed(1)}%</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Weight / breaker:</span>
+                          <span className="text-xs">
+                            {instance.weight ?? 1} / <span className={instance.breaker === 'open' ? 'text-red-700 font-semibold' : 'text-gray-700'}>{instance.breaker || 'closed'}</span>
+                          </span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Last selected:</span>
+                          <span className="text-xs text-gray-700">
+                            {instance.lastSelectedAt ? new Date(instance.lastSelectedAt).toLocaleTimeString() : 'never'}
+                          </span>
+                        </div>
+                        {instance.health?.reason && (
+                          <div className="text-xs text-red-700">{instance.health.reason}</div>
+                        )}
                         <div className="flex justify-between">
                           <span className="text-gray-600">URL:</span>
                           <span className="font-mono text-xs text-gray-500 truncate">
                             {instance.url}
                           </span>
                         </div>
+                        {(instance.version || instance.zone || instance.tags?.length > 0) && (
+                          <div className="flex flex-wrap items-center gap-1 text-xs">
+                            {instance.version && <span className="px-1.5 py-0.5 rounded bg-blue-50 text-blue-700">v{String(instance.version).replace(/^v/, '')}</span>}
+                            {instance.zone && <span className="px-1.5 py-0.5 rounded bg-purple-50 text-purple-700">{instance.zone}</span>}
+                            {(instance.tags || []).map((tag: string) => (
+                              <span key={tag} className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-700">{tag}</span>
+                            ))}
+                          </div>
+                        )}
+                        {lastChange && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Last change:</span>
+                            <span className="text-xs text-gray-700">{lastChange}</span>
+                          </div>
+                        )}
+                      </div>
+
+                      <div className="flex flex-wrap gap-2 mt-4 pt-3 border-t border-gray-200">
+                        {adminState === 'active' ? (
+                          <>
+                            <button
+                              onClick={() => runAction(instance.instance, '', 'PATCH', { state: 'draining' })}
+                              disabled={busy}
+                              className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-100"
+                            >
+                              <PauseCircle className="h-3 w-3" />
+                              <span>Drain</span>
+                            </button>
+                            <button
+                              onClick={() => runAction(instance.instance, '', 'PATCH', { state: 'disabled' })}
+                              disabled={busy}
+                              className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-100"
+                            >
+                              <Power className="h-3 w-3" />
+                              <span>Disable</span>
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => runAction(instance.instance, '', 'PATCH', { state: 'active', reason: null })}
+                            disabled={busy}
+                            className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-100"
+                          >
+                            <PlayCircle className="h-3 w-3" />
+                            <span>Enable</span>
+                          </button>
+                        )}
+                        <button
+                          onClick={() => changeWeight(instance.instance, instance.weight ?? 1)}
+                          disabled={busy}
+                          className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-100"
+                        >
+                          <Scale className="h-3 w-3" />
+                          <span>Weight</span>
+                        </button>
+                        <button
+                          onClick={() => runAction(instance.instance, '/recheck', 'POST')}
+                          disabled={busy}
+                          className="flex items-center space-x-1 px-2 py-1 text-xs rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-100"
+                        >
+                          <RefreshCw className={`h-3 w-3 ${busy ? 'animate-spin' : ''}`} />
+                          <span>Re-check</span>
+                        </button>
                       </div>
                     </div>
                   );
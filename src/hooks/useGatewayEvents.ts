@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const GATEWAY_URL = 'http://localhost:3001';
+const MAX_RECENT_EVENTS = 50;
+const MIN_RECONNECT_MS = 1000;
+const MAX_RECONNECT_MS = 30000;
+
+export type GatewayStats = Record<string, unknown>;
+
+export interface GatewayEvent {
+  id: string;
+  type: 'health' | 'breaker' | 'service' | 'instance';
+  data: Record<string, unknown>;
+  receivedAt: number;
+}
+
+const EVENT_TYPES: GatewayEvent['type'][] = ['health', 'breaker', 'service', 'instance'];
+
+// Subscribes to the gateway's dashboard stream: a full stats snapshot on
+// every (re)connect, then deltas and health, breaker, registration and
+// admin events.
+// EventSource retries dropped connections by itself; when it gives up we
+// reconnect with exponential backoff.
+export function useGatewayEvents() {
+  const [stats, setStats] = useState<GatewayStats | null>(null);
+  const [events, setEvents] = useState<GatewayEvent[]>([]);
+  const [connected, setConnected] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [attempt, setAttempt] = useState(0);
+  const backoff = useRef(MIN_RECONNECT_MS);
+
+  const reconnect = useCallback(() => {
+    backoff.current = MIN_RECONNECT_MS;
+    setAttempt(previous => previous + 1);
+  }, []);
+
+  useEffect(() => {
+    const source = new EventSource(`${GATEWAY_URL}/api/gateway/events`);
+    let retryTimer: ReturnType<typeof setTimeout> | undefined;
+
+    source.onopen = () => {
+      backoff.current = MIN_RECONNECT_MS;
+      setConnected(true);
+      setError(null);
+    };
+
+    source.onerror = () => {
+      setConnected(false);
+      if (source.readyState === EventSource.CLOSED) {
+        setError(`Disconnected, retrying in ${Math.round(backoff.current / 1000)}s`);
+        retryTimer = setTimeout(() => setAttempt(previous => previous + 1), backoff.current);
+        backoff.current = Math.min(backoff.current * 2, MAX_RECONNECT_MS);
+      } else {
+        setError('Connection lost, reconnecting...');
+      }
+    };
+
+    source.addEventListener('stats', (event) => {
+      setStats(JSON.parse((event as MessageEvent).data));
+    });
+
+    // Deltas replace whole top-level sections
+    source.addEventListener('stats-delta', (event) => {
+      const delta = JSON.parse((event as MessageEvent).data) as GatewayStats;
+      setStats(previous => (previous ? { ...previous, ...delta } : previous));
+    });
+
+    EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (event) => {
+        const message = event as MessageEvent;
+        const entry: GatewayEvent = {
+          id: message.lastEventId,
+          type,
+          data: JSON.parse(message.data),
+          receivedAt: Date.now()
+        };
+        setEvents(previous => [entry, ...previous.filter(item => item.id !== entry.id)].slice(0, MAX_RECENT_EVENTS));
+      });
+    });
+
+    return () => {
+      clearTimeout(retryTimer);
+      source.close();
+    };
+  }, [attempt]);
+
+  return { stats, events, connected, error, reconnect };
+}